@@ -0,0 +1,266 @@
+import { readFileSync } from "fs";
+
+// Declared user settings stored in users/<userId>/config.json.
+// Each rule has a `type` ("string" | "boolean" | "number" | "object") and a
+// `default`. Strings may list `enum` values or a `maxLength`, numbers may set
+// `min`, `max` and `integer`, objects nest further rules in `properties`.
+
+export const SETTINGS_SCHEMA = {
+  theme: { type: "string", enum: ["light", "dark"], default: "light" },
+  notifications: { type: "boolean", default: true },
+  audio: {
+    type: "object",
+    properties: {
+      volume: { type: "number", integer: true, min: 0, max: 100, default: 80 },
+      music: { type: "number", integer: true, min: 0, max: 100, default: 80 },
+      effects: { type: "number", integer: true, min: 0, max: 100, default: 80 },
+      muted: { type: "boolean", default: false },
+    },
+  },
+};
+
+// Upper bound for the serialized config document
+export const MAX_CONFIG_BYTES = Number(process.env.MAX_CONFIG_BYTES || 8192);
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export function defaultConfig(schema = SETTINGS_SCHEMA) {
+  const config = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    config[key] =
+      rule.type === "object" ? defaultConfig(rule.properties) : rule.default;
+  }
+  return config;
+}
+
+// Returns a message describing why `value` breaks `rule`, or null
+export function checkValue(rule, value) {
+  switch (rule.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return "must be a number";
+      if (rule.integer && !Number.isInteger(value)) return "must be an integer";
+      if (rule.min !== undefined && value < rule.min)
+        return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max)
+        return `must be at most ${rule.max}`;
+      return null;
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (rule.enum && !rule.enum.includes(value))
+        return `must be one of: ${rule.enum.join(", ")}`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength)
+        return `must be at most ${rule.maxLength} characters`;
+      return null;
+    case "object":
+      return isPlainObject(value) ? null : "must be an object";
+    default:
+      return "has an unsupported type";
+  }
+}
+
+// Validates a (possibly partial) config. Returns [{ field, message }] with
+// dotted field paths such as "audio.volume"; empty when the config is valid.
+export function validateConfig(config, schema = SETTINGS_SCHEMA, prefix = "") {
+  if (!isPlainObject(config)) {
+    return [{ field: prefix || "config", message: "must be an object" }];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    const field = prefix + key;
+    const rule = Object.hasOwn(schema, key) ? schema[key] : undefined;
+    if (!rule) {
+      errors.push({ field, message: "is not a known setting" });
+      continue;
+    }
+    const message = checkValue(rule, value);
+    if (message) errors.push({ field, message });
+    else if (rule.type === "object")
+      errors.push(...validateConfig(value, rule.properties, `${field}.`));
+  }
+  return errors;
+}
+
+// Fills in defaults for everything missing and drops stored values that no
+// longer pass the schema, so clients always read a well-formed document.
+export function normalizeConfig(config, schema = SETTINGS_SCHEMA) {
+  const source = isPlainObject(config) ? config : {};
+  const normalized = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = source[key];
+    if (rule.type === "object") {
+      normalized[key] = normalizeConfig(value, rule.properties);
+    } else {
+      normalized[key] =
+        value !== undefined && !checkValue(rule, value) ? value : rule.default;
+    }
+  }
+  return normalized;
+}
+
+// Global settings plus the game's own, or null for an unknown game
+export function gameSchema(game) {
+  if (typeof game !== "string" || !Object.hasOwn(GAME_SCHEMAS, game))
+    return null;
+  return { ...SETTINGS_SCHEMA, ...GAME_SCHEMAS[game] };
+}
+
+// Keeps only the stored values that still pass the schema, without filling
+// in defaults; used for documents that hold overrides
+export function pruneConfig(config, schema = SETTINGS_SCHEMA) {
+  const pruned = {};
+  if (!isPlainObject(config)) return pruned;
+  for (const [key, value] of Object.entries(config)) {
+    const rule = Object.hasOwn(schema, key) ? schema[key] : undefined;
+    if (!rule || checkValue(rule, value)) continue;
+    if (rule.type !== "object") pruned[key] = value;
+    else if (Object.keys(value).length)
+      pruned[key] = pruneConfig(value, rule.properties);
+  }
+  return pruned;
+}
+
+// The config a game reads: its overrides laid over the user's global config
+export function resolveGameConfig(game, globalConfig, overrides) {
+  return normalizeConfig(
+    mergeConfig(
+      normalizeConfig(globalConfig),
+      pruneConfig(overrides, gameSchema(game))
+    ),
+    gameSchema(game)
+  );
+}
+
+export function configSize(config) {
+  return Buffer.byteLength(JSON.stringify(config));
+}
+
+// --- Dotted paths ---
+// Settings are addressed as "theme" or "audio.volume".
+const SEGMENT_REGEX = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function splitPath(path) {
+  const segments = typeof path === "string" ? path.split(".") : [];
+  return segments.length && segments.every((s) => SEGMENT_REGEX.test(s))
+    ? segments
+    : null;
+}
+
+// Returns the rule declared at `path`, or null for unknown or malformed keys
+export function findRule(path, schema = SETTINGS_SCHEMA) {
+  const segments = splitPath(path);
+  if (!segments) return null;
+
+  let rule = { type: "object", properties: schema };
+  for (const segment of segments) {
+    const properties = rule.type === "object" ? rule.properties : {};
+    if (!Object.hasOwn(properties, segment)) return null;
+    rule = properties[segment];
+  }
+  return rule;
+}
+
+// Returns { field, message } when `value` may not be stored at `path`
+export function validateSetting(path, value, schema = SETTINGS_SCHEMA) {
+  const rule = findRule(path, schema);
+  if (!rule) return { field: String(path), message: "is not a known setting" };
+
+  const message = checkValue(rule, value);
+  if (message) return { field: path, message };
+  if (rule.type === "object") {
+    const [nested] = validateConfig(value, rule.properties, `${path}.`);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Returns a copy of `config` with `value` stored at `path`
+export function setSetting(config, path, value) {
+  const [head, ...rest] = splitPath(path);
+  const current = isPlainObject(config) ? config : {};
+  return {
+    ...current,
+    [head]: rest.length
+      ? setSetting(current[head], rest.join("."), value)
+      : value,
+  };
+}
+
+// Returns a copy of `config` without `path`; normalizeConfig then restores
+// the default for it
+export function removeSetting(config, path) {
+  const [head, ...rest] = splitPath(path);
+  if (!isPlainObject(config) || !Object.hasOwn(config, head)) return config;
+  const { [head]: current, ...others } = config;
+  return rest.length
+    ? { ...others, [head]: removeSetting(current, rest.join(".")) }
+    : others;
+}
+
+// Deep-merges `patch` over `base`: nested objects are combined, any other
+// value in the patch replaces the stored one
+export function mergeConfig(base, patch) {
+  const merged = isPlainObject(base) ? { ...base } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeConfig(merged[key], value)
+        : value;
+  }
+  return merged;
+}
+
+// --- Game schemas ---
+// Settings each game declares on top of SETTINGS_SCHEMA, keyed by game id
+// (lowercase letters, digits and dashes; the id is part of the storage key).
+// A game's config document only stores overrides: global settings it leaves
+// alone are inherited from the user's global config, its own settings fall
+// back to the defaults declared here. Game settings must not reuse global
+// names. Read at startup from GAME_SCHEMAS_FILE (a JSON file deployed with
+// the function) or the GAME_SCHEMAS JSON itself:
+//   { "reef-racer": {
+//       "difficulty": { "type": "string", "enum": ["easy", "hard"],
+//                       "default": "easy" } } }
+const GAME_ID_REGEX = /^[a-z0-9-]{1,32}$/;
+const RULE_TYPES = ["string", "boolean", "number", "object"];
+
+// Throws when a declared rule could never hold a valid value
+function checkSchemaRules(schema, prefix) {
+  if (!isPlainObject(schema)) throw new Error(`${prefix} must be an object`);
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = `${prefix}.${key}`;
+    if (!SEGMENT_REGEX.test(key)) throw new Error(`Invalid setting ${field}`);
+    if (!isPlainObject(rule) || !RULE_TYPES.includes(rule.type))
+      throw new Error(`${field} has an unsupported type`);
+    if (rule.type === "object") {
+      checkSchemaRules(rule.properties, `${field}.properties`);
+    } else if (checkValue(rule, rule.default)) {
+      throw new Error(`${field} default ${checkValue(rule, rule.default)}`);
+    }
+  }
+}
+
+export function loadGameSchemas(env = process.env) {
+  const json = env.GAME_SCHEMAS_FILE
+    ? readFileSync(env.GAME_SCHEMAS_FILE, "utf8")
+    : env.GAME_SCHEMAS;
+  const schemas = JSON.parse(json || "{}");
+  if (!isPlainObject(schemas))
+    throw new Error("GAME_SCHEMAS must be an object");
+
+  for (const [game, schema] of Object.entries(schemas)) {
+    if (!GAME_ID_REGEX.test(game)) throw new Error(`Invalid game id: ${game}`);
+    checkSchemaRules(schema, game);
+    const reused = Object.keys(schema).find((key) =>
+      Object.hasOwn(SETTINGS_SCHEMA, key)
+    );
+    if (reused) throw new Error(`${game} redeclares global setting ${reused}`);
+  }
+  return schemas;
+}
+
+export const GAME_SCHEMAS = loadGameSchemas();
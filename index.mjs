@@ -1,32 +1,185 @@
 import { v4 as uuidv4 } from "uuid";
-import bcrypt from "bcryptjs";
+import { randomBytes, createHash, timingSafeEqual } from "crypto";
+import { createStorage } from "./storage.mjs";
+import { createMailer } from "./mailer.mjs";
+import { createLogger } from "./logger.mjs";
+import { generateSecret, verifyCode, otpauthUri } from "./totp.mjs";
+import { createOidcVerifier } from "./oidc.mjs";
+import { createTokenSigner } from "./signing-keys.mjs";
 import {
-  S3Client,
-  PutObjectCommand,
-  GetObjectCommand,
-  ListObjectsV2Command,
-  DeleteObjectsCommand,
-} from "@aws-sdk/client-s3";
-import jwt from "jsonwebtoken";
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = "7d";
-
-const s3 = new S3Client({ region: "us-east-1" });
-const BUCKET = "click.accountdata";
+  checkPasswordPolicy,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} from "./password.mjs";
+import {
+  SETTINGS_SCHEMA,
+  MAX_CONFIG_BYTES,
+  defaultConfig,
+  validateConfig,
+  normalizeConfig,
+  configSize,
+  findRule,
+  validateSetting,
+  setSetting,
+  removeSetting,
+  mergeConfig,
+  gameSchema,
+  pruneConfig,
+  resolveGameConfig,
+} from "./config-schema.mjs";
+// Access tokens are short-lived; refresh tokens keep a session alive and
+// slide forward every time they are rotated
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || "15m";
+// iss of every token the service signs and aud of access tokens. Game
+// servers verifying access tokens themselves should require both.
+const TOKEN_ISSUER = process.env.TOKEN_ISSUER || "tsunami-accounts";
+const ACCESS_TOKEN_AUDIENCE = process.env.ACCESS_TOKEN_AUDIENCE || "tsunami";
+// How long clients may cache /.well-known/jwks.json; a new key has to be
+// published at least this long before it signs (see signing-keys.mjs)
+const JWKS_MAX_AGE_SECONDS = Number(process.env.JWKS_MAX_AGE_SECONDS || 3600);
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 7);
+// Soft-deleted accounts can be restored until this many days have passed
+const DELETION_GRACE_DAYS = Number(process.env.DELETION_GRACE_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Password reset links are single-use and expire after this many minutes
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES || 30);
+// Optional front-end page; the reset token is appended as ?token=
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL;
+// An unverified account only holds its email address for this many hours
+const EMAIL_CLAIM_HOURS = Number(process.env.EMAIL_CLAIM_HOURS || 48);
+// Optional front-end page; the verification code is appended as ?code=
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL;
+// Resend limits: minimum gap between emails and a daily cap, per account for
+// verification emails and, separately, for password reset emails
+const RESEND_COOLDOWN_SECONDS = Number(
+  process.env.RESEND_COOLDOWN_SECONDS || 60
+);
+const RESEND_MAX_PER_DAY = Number(process.env.RESEND_MAX_PER_DAY || 5);
+// Login throttling: failures allowed per username / per source IP before a
+// lockout, which starts at the base and doubles with every further failure
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOGIN_IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20);
+const LOGIN_LOCKOUT_BASE_SECONDS = Number(
+  process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30
+);
+const LOGIN_LOCKOUT_MAX_SECONDS = Number(
+  process.env.LOGIN_LOCKOUT_MAX_SECONDS || 3600
+);
+// Failure counters reset after this long without a new failure
+const LOGIN_ATTEMPT_WINDOW_MINUTES = Number(
+  process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15
+);
+// Two-factor: issuer shown in authenticator apps, lifetime of the login
+// challenge between password and code, and recovery codes per enrollment
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Tsunami";
+const TWO_FACTOR_CHALLENGE_EXPIRY =
+  process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m";
+const RECOVERY_CODE_COUNT = 10;
+// Earlier config revisions kept per user for /restore-config-revision
+const CONFIG_HISTORY_LIMIT = Number(process.env.CONFIG_HISTORY_LIMIT || 20);
+// A username or email given up in /update-account stays reserved for the
+// old owner this many days before anyone else can claim it
+const NAME_RELEASE_DAYS = Number(process.env.NAME_RELEASE_DAYS || 14);
+const MIN_ACCOUNT_AGE = 10; // minimum allowed age in years
+// Routes an account with an unverified email may call ("*" allows all)
+const UNVERIFIED_ALLOWED_ROUTES = (
+  process.env.UNVERIFIED_ALLOWED_ROUTES ||
+  "/get-account,/get-config,/resend-verification,/update-account,/export-account,/logout,/logout-all,/change-password,/delete-account"
+)
+  .split(",")
+  .map((r) => r.trim())
+  .filter(Boolean);
+// Browser origins allowed to call the API, comma separated ("*" allows any)
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+const CORS_MAX_AGE_SECONDS = Number(process.env.CORS_MAX_AGE_SECONDS || 600);
+// Console log threshold (debug, info, warn, error, silent). Entries are only
+// echoed back in responses when DEBUG_RESPONSE_LOGS=true, never by default.
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const DEBUG_RESPONSE_LOGS = process.env.DEBUG_RESPONSE_LOGS === "true";
+// Account exports fetched by link stay downloadable for this many minutes.
+// EXPORT_DOWNLOAD_URL overrides the link base (the token is appended as
+// ?token=); by default it points at this API's /download-export.
+const EXPORT_LINK_MINUTES = Number(process.env.EXPORT_LINK_MINUTES || 15);
+const EXPORT_DOWNLOAD_URL = process.env.EXPORT_DOWNLOAD_URL;
+// /admin/rebuild-indexes works in batches of about this many seconds
+const REBUILD_BATCH_SECONDS = Number(process.env.REBUILD_BATCH_SECONDS || 20);
+// Base path of a custom domain mapping, e.g. "/api"
+const ROUTE_PREFIX = (process.env.ROUTE_PREFIX || "").replace(/\/+$/, "");
+
+// Backend, bucket and region come from the environment (see storage.mjs)
+let storage = createStorage();
+// Transport comes from the environment (see mailer.mjs)
+let mailer = createMailer();
+// Third-party sign-in providers come from OIDC_PROVIDERS (see oidc.mjs)
+const identityProviders = createOidcVerifier();
+// JWT keys come from JWT_SIGNING_KEYS and JWT_SECRET (see signing-keys.mjs)
+const tokenSigner = createTokenSigner();
+
+// Tests swap in an in-memory S3 client and a local outbox
+export function setStorage(next) {
+  storage = next;
+}
+export function setMailer(next) {
+  mailer = next;
+}
+
+// --- Storage helpers ---
+async function readJson(key) {
+  const { body } = await storage.get(key);
+  return JSON.parse(body);
+}
+function writeJson(key, value, options) {
+  return storage.put(key, JSON.stringify(value, null, 2), options);
+}
+// Read-modify-write guarded by ifMatch/ifNoneMatch and retried when another
+// writer got in first. `update` gets the current value, or null if missing.
+// Resolves to the written { value, etag }.
+async function updateJson(key, update, attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    let current = null;
+    let etag;
+    try {
+      const res = await storage.get(key);
+      current = JSON.parse(res.body);
+      etag = res.etag;
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+    const next = update(current);
+    try {
+      const res = await writeJson(
+        key,
+        next,
+        etag ? { ifMatch: etag } : { ifNoneMatch: "*" }
+      );
+      return { value: next, etag: res.etag };
+    } catch (err) {
+      const conflict =
+        err.name === "PreconditionFailed" || err.name === "NoSuchKey";
+      if (!conflict || attempt >= attempts) throw err;
+    }
+  }
+}
+// Deletes every object under `prefix`
+async function deletePrefix(prefix) {
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list(prefix, {
+      continuationToken: ContinuationToken,
+    });
+    await storage.delete(listRes.keys);
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+}
 function sanitizeUsername(username) {
   // Only allow letters, numbers, and selected safe symbols
   const dirtyRegex = /[^A-Za-z0-9\-_.!$*+]/g;
   return dirtyRegex.test(username); // true = dirty/invalid
 }
-function sanitizePassword(password) {
-  // Allow letters, numbers, and common password symbols
-  const dirtyRegex = /[^A-Za-z0-9!$%^&*()\-_=+|;.\]]/g;
-  return dirtyRegex.test(password); // true = dirty/invalid
-}
-function sanitizeSetting(input) {
-  const dirtyRegex = /[^a-z]/g; // anything not a-z is invalid
-  return dirtyRegex.test(input); // true = dirty/invalid
-}
 function sanitizeBirthday(birthday) {
   // Check ISO format first
   const isoRegex = /^\d{4}-\d{2}-\d{2}$/;
@@ -53,39 +206,160 @@ function sanitizeEmail(email) {
   const dirtyRegex = /[^A-Za-z0-9.@_-]/g; // allow letters, digits, dot, @, underscore, hyphen
   return dirtyRegex.test(email); // true = invalid
 }
-export async function handler(event) {
+function isUnderAge(birthday) {
+  const birthDate = new Date(birthday);
+  const age = Math.floor(
+    (Date.now() - birthDate.getTime()) / (1000 * 60 * 60 * 24 * 365.25)
+  );
+  return age < MIN_ACCOUNT_AGE;
+}
+// --- Routes ---
+// Exact paths (after any stage or ROUTE_PREFIX, see resolveRoute) and the
+// methods each accepts. Routes without parameters also answer GET so they
+// can be called with just an Authorization header.
+const ROUTES = {
+  "/create-account": { methods: ["POST"], handle: handleCreateAccount },
+  "/login": { methods: ["POST"], handle: handleLogin },
+  "/login-provider": { methods: ["POST"], handle: handleLoginProvider },
+  "/create-account-provider": {
+    methods: ["POST"],
+    handle: handleCreateAccountProvider,
+  },
+  "/link-provider": { methods: ["POST"], handle: handleLinkProvider },
+  "/unlink-provider": { methods: ["POST"], handle: handleUnlinkProvider },
+  "/login-2fa": { methods: ["POST"], handle: handleLogin2fa },
+  "/.well-known/jwks.json": { methods: ["GET"], handle: handleJwks },
+  "/refresh": { methods: ["POST"], handle: handleRefresh },
+  "/logout": { methods: ["POST"], handle: handleLogout },
+  "/logout-all": { methods: ["POST"], handle: handleLogoutAll },
+  "/change-password": { methods: ["POST"], handle: handleChangePassword },
+  "/update-account": { methods: ["POST"], handle: handleUpdateAccount },
+  "/forgot-password": { methods: ["POST"], handle: handleForgotPassword },
+  "/reset-password": { methods: ["POST"], handle: handleResetPassword },
+  "/verify-email": { methods: ["POST"], handle: handleVerifyEmail },
+  "/resend-verification": {
+    methods: ["POST"],
+    handle: handleResendVerification,
+  },
+  "/setup-2fa": { methods: ["POST"], handle: handleSetup2fa },
+  "/enable-2fa": { methods: ["POST"], handle: handleEnable2fa },
+  "/disable-2fa": { methods: ["POST"], handle: handleDisable2fa },
+  "/get-account": { methods: ["GET", "POST"], handle: handleGetAccount },
+  "/get-config": { methods: ["GET", "POST"], handle: handleGetConfig },
+  "/save-config": { methods: ["POST"], handle: handleSaveConfig },
+  "/update-setting": { methods: ["POST"], handle: handleUpdateSetting },
+  "/list-config-history": {
+    methods: ["GET", "POST"],
+    handle: handleListConfigHistory,
+  },
+  "/get-config-revision": {
+    methods: ["POST"],
+    handle: handleGetConfigRevision,
+  },
+  "/restore-config-revision": {
+    methods: ["POST"],
+    handle: handleRestoreConfigRevision,
+  },
+  "/get-profile": { methods: ["GET", "POST"], handle: handleGetProfile },
+  "/update-profile": { methods: ["POST"], handle: handleUpdateProfile },
+  "/search-users": { methods: ["GET", "POST"], handle: handleSearchUsers },
+  "/send-friend-request": {
+    methods: ["POST"],
+    handle: handleSendFriendRequest,
+  },
+  "/accept-friend-request": {
+    methods: ["POST"],
+    handle: handleAcceptFriendRequest,
+  },
+  "/decline-friend-request": {
+    methods: ["POST"],
+    handle: handleDeclineFriendRequest,
+  },
+  "/cancel-friend-request": {
+    methods: ["POST"],
+    handle: handleCancelFriendRequest,
+  },
+  "/remove-friend": { methods: ["POST"], handle: handleRemoveFriend },
+  "/block-user": { methods: ["POST"], handle: handleBlockUser },
+  "/unblock-user": { methods: ["POST"], handle: handleUnblockUser },
+  "/list-friends": { methods: ["GET", "POST"], handle: handleListFriends },
+  "/export-account": { methods: ["POST"], handle: handleExportAccount },
+  "/download-export": { methods: ["GET"], handle: handleDownloadExport },
+  "/delete-account": { methods: ["POST"], handle: handleDeleteAccount },
+  "/restore-account": { methods: ["POST"], handle: handleRestoreAccount },
+  "/admin/find-user": { methods: ["POST"], handle: handleAdminFindUser },
+  "/admin/disable-account": {
+    methods: ["POST"],
+    handle: handleAdminDisableAccount,
+  },
+  "/admin/enable-account": {
+    methods: ["POST"],
+    handle: handleAdminEnableAccount,
+  },
+  "/admin/force-logout": { methods: ["POST"], handle: handleAdminForceLogout },
+  "/admin/reset-2fa": { methods: ["POST"], handle: handleAdminReset2fa },
+  "/admin/rebuild-indexes": {
+    methods: ["POST"],
+    handle: handleRebuildIndexes,
+  },
+  "/admin/purge-deleted-accounts": {
+    methods: ["POST"],
+    handle: handleAdminPurgeDeletedAccounts,
+  },
+};
+
+export async function handler(event, context) {
   const logs = [];
-  const log = (...args) =>
-    logs.push(
-      args.map((a) => (typeof a === "object" ? JSON.stringify(a) : a)).join(" ")
-    );
+  const log = createLogger({
+    requestId: context?.awsRequestId || event.requestContext?.requestId,
+    level: LOG_LEVEL,
+    entries: logs,
+  });
 
-  const route = event.rawPath || event.path;
-  log("Route determined:", route);
+  const response = await dispatch(event, log, logs);
+  log("Request completed", {
+    statusCode: response.statusCode,
+    durationMs: log.elapsedMs(),
+  });
+  response.headers = { ...response.headers, "X-Request-Id": log.requestId };
+  return withCorsHeaders(event, response);
+}
 
+async function dispatch(event, log, logs) {
   try {
-    if (route.endsWith("/create-account"))
-      return await handleCreateAccount(event, log, logs);
-    if (route.endsWith("/login")) return await handleLogin(event, log, logs);
-    if (route.endsWith("/get-account"))
-      return await handleGetAccount(event, log, logs);
-    if (route.endsWith("/get-config"))
-      return await handleGetConfig(event, log, logs);
-    if (route.endsWith("/save-config"))
-      return await handleSaveConfig(event, log, logs);
-    if (route.endsWith("/update-setting"))
-      return await handleUpdateSetting(event, log, logs);
-    if (route.endsWith("/rebuild-indexes"))
-      return await handleRebuildIndexes(event, log, logs);
-    return jsonResponse(
-      404,
-      "ERR_ROUTE_NOT_FOUND",
-      "❌ Route not found",
-      {},
-      logs
-    );
+    // EventBridge schedule: purge accounts whose grace period has ended
+    if (event.source === "aws.events")
+      return await handlePurgeDeletedAccounts(event, log, logs);
+
+    const route = resolveRoute(event);
+    const method = getMethod(event);
+    log("Route determined:", method, route);
+
+    const entry = Object.hasOwn(ROUTES, route) ? ROUTES[route] : null;
+    if (!entry) {
+      return jsonResponse(
+        404,
+        "ERR_ROUTE_NOT_FOUND",
+        "❌ Route not found",
+        {},
+        logs
+      );
+    }
+    if (method === "OPTIONS") return preflightResponse(event, entry);
+    if (!entry.methods.includes(method)) {
+      const response = jsonResponse(
+        405,
+        "ERR_METHOD_NOT_ALLOWED",
+        `❌ Method ${method} not allowed`,
+        { allowedMethods: entry.methods },
+        logs
+      );
+      response.headers.Allow = [...entry.methods, "OPTIONS"].join(", ");
+      return response;
+    }
+    return await entry.handle(event, log, logs);
   } catch (err) {
-    log("Lambda error:", err.message, err.stack);
+    log.error("Lambda error:", err.message, { stack: err.stack });
     return jsonResponse(
       500,
       "ERR_SERVER",
@@ -96,29 +370,571 @@ export async function handler(event) {
   }
 }
 
+// --- Request helpers ---
+// Header names are case-insensitive; API Gateway v1 keeps the client's case
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(
+    (k) => k.toLowerCase() === name.toLowerCase()
+  );
+  return key === undefined ? undefined : headers[key];
+}
+
+// HTTP API (v2) and REST API (v1) events; direct invocations without a
+// method are treated as POST
+function getMethod(event) {
+  return (
+    event.requestContext?.http?.method ||
+    event.httpMethod ||
+    "POST"
+  ).toUpperCase();
+}
+
+// Path relative to the API: v2 rawPath carries the stage name for non-default
+// stages, and ROUTE_PREFIX strips a custom-domain base path
+function resolveRoute(event) {
+  let route = event.rawPath || event.path || "/";
+  const stage = event.requestContext?.stage;
+  if (stage && stage !== "$default" && route.startsWith(`/${stage}/`))
+    route = route.slice(stage.length + 1);
+  if (ROUTE_PREFIX && route.startsWith(`${ROUTE_PREFIX}/`))
+    route = route.slice(ROUTE_PREFIX.length);
+  return route.length > 1 ? route.replace(/\/+$/, "") : route;
+}
+
+// --- CORS helpers ---
+// Headers for an allowed Origin, or none so the browser blocks the response
+function corsHeaders(event) {
+  const origin = getHeader(event, "Origin");
+  if (!origin) return {};
+  if (CORS_ALLOWED_ORIGINS.includes("*"))
+    return { "Access-Control-Allow-Origin": "*" };
+  if (!CORS_ALLOWED_ORIGINS.includes(origin)) return {};
+  return { "Access-Control-Allow-Origin": origin, Vary: "Origin" };
+}
+
+function withCorsHeaders(event, response) {
+  return {
+    ...response,
+    headers: { ...response.headers, ...corsHeaders(event) },
+  };
+}
+
+function preflightResponse(event, entry) {
+  const headers = corsHeaders(event);
+  if (headers["Access-Control-Allow-Origin"]) {
+    Object.assign(headers, {
+      "Access-Control-Allow-Methods": [...entry.methods, "OPTIONS"].join(", "),
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      "Access-Control-Max-Age": String(CORS_MAX_AGE_SECONDS),
+    });
+  }
+  return { statusCode: 204, headers, body: "" };
+}
+
 // --- Helper to return consistent structured responses ---
 function jsonResponse(statusCode, status, message, data = {}, logs = []) {
   return {
     statusCode,
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ status, message, ...data, logs }),
+    body: JSON.stringify({
+      status,
+      message,
+      ...data,
+      ...(DEBUG_RESPONSE_LOGS && { logs }),
+    }),
   };
 }
 
 // --- Token verification helper ---
-function verifyToken(body, log) {
-  const { token } = body;
+// Returns the token claims ({ userId, username, sid, emailVerified }) once the
+// JWT is valid, its session still exists and the route is allowed for the
+// account. The token comes from an "Authorization: Bearer" header or, for
+// older clients, the body. With `role`, the account (read fresh, so a
+// revoked role or a disabled account takes effect at once) must hold that
+// role. Errors carry the response code to send.
+async function verifyToken(event, body, log, { role } = {}) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(
+    getHeader(event, "Authorization") || ""
+  );
+  const token = bearer ? bearer[1] : body.token;
   if (!token) {
     log("❌ Missing token");
-    throw new Error("Missing token");
+    throw authError("Missing token");
   }
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded.userId;
+    decoded = tokenSigner.verify(token, {
+      issuer: TOKEN_ISSUER,
+      audience: ACCESS_TOKEN_AUDIENCE,
+    });
   } catch (err) {
     log("❌ Invalid token:", err.message);
-    throw new Error("Invalid token");
+    if (err.name === "TokenExpiredError")
+      throw authError("Token expired", "ERR_TOKEN_EXPIRED");
+    throw authError("Invalid token");
+  }
+  if (!decoded.sid) {
+    log("❌ Token has no session");
+    throw authError("Invalid token");
+  }
+
+  let session;
+  try {
+    session = await readJson(sessionKey(decoded.userId, decoded.sid));
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    log("❌ Session revoked", { sid: decoded.sid });
+    throw authError("Session revoked");
+  }
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    log("❌ Session expired", { sid: decoded.sid });
+    throw authError("Session expired");
+  }
+
+  const route = resolveRoute(event);
+  if (
+    decoded.emailVerified === false &&
+    !UNVERIFIED_ALLOWED_ROUTES.includes("*") &&
+    !UNVERIFIED_ALLOWED_ROUTES.includes(route)
+  ) {
+    log("❌ Route needs a verified email", { route });
+    throw authError("Email not verified", "ERR_EMAIL_NOT_VERIFIED", 403);
+  }
+
+  if (role) {
+    let account = null;
+    try {
+      account = await readJson(`users/${decoded.userId}/account.json`);
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+    if (!account || account.disabledAt || !hasRole(account, role)) {
+      log("❌ Missing role", { userId: decoded.userId, role });
+      throw authError("Insufficient permissions", "ERR_FORBIDDEN", 403);
+    }
+  }
+  return decoded;
+}
+
+// Roles live on the account as e.g. roles: ["admin"]. There is no route to
+// grant the first admin; ops add it to account.json directly.
+function hasRole(account, role) {
+  return Array.isArray(account.roles) && account.roles.includes(role);
+}
+
+function authError(message, code = "ERR_NOT_LOGGED_IN", statusCode = 401) {
+  return Object.assign(new Error(message), { code, statusCode });
+}
+
+function authErrorResponse(err, logs) {
+  return jsonResponse(
+    err.statusCode || 401,
+    err.code || "ERR_NOT_LOGGED_IN",
+    `❌ Unauthorized: ${err.message}`,
+    {},
+    logs
+  );
+}
+
+// --- Session helpers ---
+// A session lives at users/<userId>/sessions/<sid>.json and holds the hash of
+// the current refresh token. Deleting the file revokes the session.
+function sessionKey(userId, sid) {
+  return `users/${userId}/sessions/${sid}.json`;
+}
+
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+function signAccessToken(userId, account, sid) {
+  return tokenSigner.sign(
+    {
+      userId,
+      username: account.username,
+      sid,
+      emailVerified: isEmailVerified(account),
+    },
+    // "at+jwt" and the audience tell game servers this is an access token,
+    // not one of the purpose tokens signed with the same keys
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRY,
+      issuer: TOKEN_ISSUER,
+      audience: ACCESS_TOKEN_AUDIENCE,
+      header: { typ: "at+jwt" },
+    }
+  );
+}
+
+// Tokens for one step of a flow (login-2fa, verify-email, export-download)
+// carry the purpose as audience and typ, so neither a route nor a game
+// server can mistake one for an access token or for another purpose
+function signPurposeToken(purpose, claims, expiresIn) {
+  return tokenSigner.sign(claims, {
+    expiresIn,
+    issuer: TOKEN_ISSUER,
+    audience: purpose,
+    header: { typ: `${purpose}+jwt` },
+  });
+}
+
+// Claims of a signPurposeToken token; throws when it is invalid, expired or
+// made for something else
+function verifyPurposeToken(purpose, token) {
+  return tokenSigner.verify(token, { issuer: TOKEN_ISSUER, audience: purpose });
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS).toISOString();
+}
+
+// Refresh tokens are "<userId>.<sid>.<secret>" so /refresh can find the
+// session without an index
+function parseRefreshToken(refreshToken) {
+  const parts = String(refreshToken).split(".");
+  if (parts.length !== 3 || parts.some((p) => !p)) return null;
+  const [userId, sid, secret] = parts;
+  if (!/^[A-Za-z0-9-]+$/.test(userId) || !/^[A-Za-z0-9-]+$/.test(sid))
+    return null;
+  return { userId, sid, secret };
+}
+
+async function createSession(userId, account, log) {
+  await pruneExpiredSessions(userId);
+
+  const sid = uuidv4();
+  const secret = randomBytes(32).toString("base64url");
+  const now = new Date().toISOString();
+  await writeJson(
+    sessionKey(userId, sid),
+    {
+      sid,
+      refreshHash: hashSecret(secret),
+      createdAt: now,
+      refreshedAt: now,
+      expiresAt: refreshExpiry(),
+    },
+    { ifNoneMatch: "*" }
+  );
+  log("Session created", { userId, sid });
+
+  return {
+    token: signAccessToken(userId, account, sid),
+    refreshToken: `${userId}.${sid}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+  };
+}
+
+async function listSessionKeys(userId) {
+  const keys = [];
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list(`users/${userId}/sessions/`, {
+      continuationToken: ContinuationToken,
+    });
+    keys.push(...listRes.keys);
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+  return keys;
+}
+
+async function pruneExpiredSessions(userId) {
+  const expired = [];
+  for (const key of await listSessionKeys(userId)) {
+    try {
+      const session = await readJson(key);
+      if (Date.parse(session.expiresAt) <= Date.now()) expired.push(key);
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+  }
+  await storage.delete(expired);
+}
+
+async function revokeAllSessions(userId, exceptSid) {
+  const keep = exceptSid && sessionKey(userId, exceptSid);
+  const keys = (await listSessionKeys(userId)).filter((k) => k !== keep);
+  await storage.delete(keys);
+  return keys.length;
+}
+
+// --- Email verification helpers ---
+// Accounts created before verification existed have no emailVerified flag
+// and count as verified.
+function isEmailVerified(account) {
+  return account.emailVerified !== false;
+}
+
+// Index entry for users/by-email/. Unverified claims carry an expiry after
+// which another signup may take the address. Returns null once expired.
+function emailIndexEntry(userId, account) {
+  if (isEmailVerified(account)) return { userId };
+  const { claimExpiresAt } = account.emailVerification || {};
+  if (Date.parse(claimExpiresAt) <= Date.now()) return null;
+  return { userId, verified: false, expiresAt: claimExpiresAt };
+}
+
+// Unverified email claims and released names both lapse at expiresAt
+function isClaimExpired(entry) {
+  return (
+    (entry.verified === false || entry.released === true) &&
+    Date.parse(entry.expiresAt) <= Date.now()
+  );
+}
+
+async function sendVerificationEmail(userId, account) {
+  const code = signPurposeToken(
+    "verify-email",
+    { userId, email: account.email },
+    `${EMAIL_CLAIM_HOURS}h`
+  );
+  const link = EMAIL_VERIFICATION_URL
+    ? `${EMAIL_VERIFICATION_URL}?code=${encodeURIComponent(code)}`
+    : code;
+  await mailer.send({
+    to: account.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${account.username},\n\n` +
+      `Confirm your email address with this code: ${link}\n\n` +
+      `It expires in ${EMAIL_CLAIM_HOURS} hours.`,
+  });
+}
+
+// --- Index reservation helpers ---
+// Claim an index key (users/by-username/, users/by-email/) for `entry`.
+// Returns false when another account holds it. An expired claim, or a name
+// the same account released, is taken over with ifMatch so two signups
+// cannot both replace it.
+async function reserveIndexKey(key, entry) {
+  try {
+    await writeJson(key, entry, { ifNoneMatch: "*" });
+    return true;
+  } catch (err) {
+    if (err.name !== "PreconditionFailed") throw err;
+  }
+
+  let current;
+  try {
+    current = await storage.get(key);
+  } catch (err) {
+    // Freed between our write and read; report a conflict, a retry succeeds
+    if (err.name === "NoSuchKey") return false;
+    throw err;
+  }
+  const existing = JSON.parse(current.body);
+  const ownRelease = existing.released && existing.userId === entry.userId;
+  if (!isClaimExpired(existing) && !ownRelease) return false;
+
+  try {
+    await writeJson(key, entry, { ifMatch: current.etag });
+    return true;
+  } catch (err) {
+    if (err.name === "PreconditionFailed" || err.name === "NoSuchKey")
+      return false;
+    throw err;
+  }
+}
+
+// Hand an index key back after a rename. It keeps pointing at `userId`,
+// marked released, until NAME_RELEASE_DAYS have passed; login and lookups
+// compare against the account, so the old name no longer signs in.
+async function releaseIndexKey(key, userId) {
+  let current;
+  try {
+    current = await storage.get(key);
+  } catch (err) {
+    if (err.name === "NoSuchKey") return;
+    throw err;
+  }
+  if (JSON.parse(current.body).userId !== userId) return;
+
+  const expiresAt = new Date(
+    Date.now() + NAME_RELEASE_DAYS * DAY_MS
+  ).toISOString();
+  await writeJson(
+    key,
+    { userId, released: true, expiresAt },
+    { ifMatch: current.etag }
+  );
+}
+
+// --- Login throttling helpers ---
+// Failure counters live at login-attempts/<username|ip>/<value>.json and
+// hold { failures, lastFailureAt, lockedUntil }. Counters are kept for made-up
+// usernames too, so a lockout says nothing about which accounts exist; the
+// scheduled purge removes them once they no longer count.
+function getSourceIp(event) {
+  return (
+    event.requestContext?.http?.sourceIp || // API Gateway v2
+    event.requestContext?.identity?.sourceIp || // API Gateway v1
+    "unknown"
+  );
+}
+
+function loginAttemptKeys(username, sourceIp) {
+  return [
+    {
+      key: `login-attempts/username/${username.toLowerCase()}.json`,
+      max: LOGIN_MAX_ATTEMPTS,
+    },
+    {
+      key: `login-attempts/ip/${encodeURIComponent(sourceIp)}.json`,
+      max: LOGIN_IP_MAX_ATTEMPTS,
+    },
+  ];
+}
+
+// Returns the number of seconds left on the longest active lockout, or 0
+async function getLoginLockout(username, sourceIp) {
+  let lockedUntil = 0;
+  for (const { key } of loginAttemptKeys(username, sourceIp)) {
+    try {
+      const counter = await readJson(key);
+      lockedUntil = Math.max(lockedUntil, Date.parse(counter.lockedUntil) || 0);
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+  }
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
+
+// Counts a failure against username and IP; returns the resulting lockout
+// in seconds (0 while still under the limits)
+async function recordLoginFailure(username, sourceIp) {
+  const now = Date.now();
+  const windowMs = LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+  let retryAfter = 0;
+
+  for (const { key, max } of loginAttemptKeys(username, sourceIp)) {
+    const { value: counter } = await updateJson(key, (current) => {
+      const stale =
+        !current || Date.parse(current.lastFailureAt) <= now - windowMs;
+      const failures = stale ? 1 : current.failures + 1;
+      const next = { failures, lastFailureAt: new Date(now).toISOString() };
+      if (failures >= max) {
+        const seconds = Math.min(
+          LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - max),
+          LOGIN_LOCKOUT_MAX_SECONDS
+        );
+        next.lockedUntil = new Date(now + seconds * 1000).toISOString();
+      }
+      return next;
+    });
+    if (counter.lockedUntil) {
+      retryAfter = Math.max(
+        retryAfter,
+        Math.ceil((Date.parse(counter.lockedUntil) - now) / 1000)
+      );
+    }
+  }
+  return retryAfter;
+}
+
+// Deletes counters whose window has passed and whose lockout is over; a
+// counter that would restart at 1 anyway carries no information
+async function purgeStaleLoginAttempts(log) {
+  const now = Date.now();
+  const windowMs = LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+  const stale = [];
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list("login-attempts/", {
+      continuationToken: ContinuationToken,
+    });
+    for (const key of listRes.keys) {
+      try {
+        const counter = await readJson(key);
+        const lockedUntil = Date.parse(counter.lockedUntil) || 0;
+        if (
+          Date.parse(counter.lastFailureAt) <= now - windowMs &&
+          lockedUntil <= now
+        )
+          stale.push(key);
+      } catch (err) {
+        if (err.name !== "NoSuchKey") throw err;
+      }
+    }
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+
+  await storage.delete(stale);
+  if (stale.length)
+    log("Stale login counters removed", { count: stale.length });
+  return stale.length;
+}
+
+function lockedResponse(retryAfter, logs) {
+  return jsonResponse(
+    429,
+    "ERR_ACCOUNT_LOCKED",
+    `❌ Too many failed attempts, try again in ${retryAfter} seconds`,
+    { retryAfter },
+    logs
+  );
+}
+
+// Shared 401 path for bad credentials: counts the failure and switches to
+// the lockout response once a limit is reached
+async function loginFailure(username, sourceIp, log, logs) {
+  const retryAfter = await recordLoginFailure(username, sourceIp);
+  if (retryAfter) {
+    log("❌ Login locked", { username, sourceIp, retryAfter });
+    return lockedResponse(retryAfter, logs);
+  }
+  return jsonResponse(
+    401,
+    "ERR_INVALID_CREDENTIALS",
+    "❌ Invalid username or password",
+    {},
+    logs
+  );
+}
+
+// True when the credentials prove who owns the account: the password, or
+// for an account without one ({ provider, idToken }) an ID token from a
+// linked provider. Throws the provider's authError while it is unreachable.
+async function checkCredentials(account, { password, provider, idToken }) {
+  if (account.password || !idToken)
+    return verifyPassword(password, account.password);
+  if (!identityProviders.has(provider)) return false;
+
+  let identity;
+  try {
+    identity = await verifyProviderToken(provider, idToken);
+  } catch (err) {
+    if (err.code === "ERR_INVALID_PROVIDER_TOKEN") return false;
+    throw err;
+  }
+  return isProviderLinked(account, provider, identity.subject);
+}
+
+// Re-check for signed-in routes that change credentials or hand out account
+// data, see checkCredentials. Failures count toward the /login lockout so a
+// stolen access token cannot be used to guess the password. Returns the
+// error response, or null once the credentials match.
+async function reauthenticate(event, account, credentials, log, logs) {
+  const sourceIp = getSourceIp(event);
+  const lockout = await getLoginLockout(account.username, sourceIp);
+  if (lockout) return lockedResponse(lockout, logs);
+
+  try {
+    if (await checkCredentials(account, credentials)) return null;
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return providerErrorResponse(err, logs);
   }
+  log("❌ Re-authentication failed");
+  const retryAfter = await recordLoginFailure(account.username, sourceIp);
+  if (retryAfter) return lockedResponse(retryAfter, logs);
+  return jsonResponse(
+    401,
+    "ERR_INVALID_CREDENTIALS",
+    account.password ? "❌ Invalid password" : "❌ Invalid sign-in token",
+    {},
+    logs
+  );
 }
 
 // --- CREATE ACCOUNT ---
@@ -152,7 +968,6 @@ async function handleCreateAccount(event, log, logs) {
 
   if (
     sanitizeUsername(username) ||
-    sanitizePassword(password) ||
     sanitizeEmail(email) ||
     sanitizeBirthday(birthday)
   ) {
@@ -164,49 +979,104 @@ async function handleCreateAccount(event, log, logs) {
       logs
     );
   }
+  const passwordProblem = checkPasswordPolicy(password);
+  if (passwordProblem) {
+    return jsonResponse(
+      400,
+      "ERR_WEAK_PASSWORD",
+      `❌ Password ${passwordProblem}`,
+      {},
+      logs
+    );
+  }
   // === Age Check ===
-  const minAge = 10; // minimum allowed age
-  const birthDate = new Date(birthday);
-  const age = Math.floor(
-    (Date.now() - birthDate.getTime()) / (1000 * 60 * 60 * 24 * 365.25)
-  );
-
-  if (age < minAge) {
+  if (isUnderAge(birthday)) {
     return jsonResponse(
       400,
       "ERR_TOO_YOUNG",
-      `❌ You must be at least ${minAge} years old to register`,
+      `❌ You must be at least ${MIN_ACCOUNT_AGE} years old to register`,
       {},
       logs
     );
   }
-  // Check for duplicate username/email using S3 index files
-  const usernameKey = `users/by-username/${username.toLowerCase()}.json`;
-  const emailKey = `users/by-email/${email.toLowerCase()}.json`;
-  let duplicateField = null;
-  const [usernameCheck, emailCheck] = await Promise.allSettled([
-    s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: usernameKey })),
-    s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: emailKey })),
-  ]);
+  const userId = uuidv4();
+  const hashedPassword = await hashPassword(password);
+  const account = {
+    username,
+    password: hashedPassword,
+    email,
+    birthday,
+    createdAt: new Date().toISOString(),
+    emailVerified: false,
+    emailVerification: {
+      claimExpiresAt: new Date(
+        Date.now() + EMAIL_CLAIM_HOURS * 60 * 60 * 1000
+      ).toISOString(),
+      sentAt: [new Date().toISOString()],
+    },
+  };
+  const failed = await storeNewAccount(userId, account, log, logs);
+  if (failed) return failed;
 
-  if (usernameCheck.status === "fulfilled") duplicateField = "username";
-  if (emailCheck.status === "fulfilled")
-    duplicateField = duplicateField || "email";
+  try {
+    await sendVerificationEmail(userId, account);
+  } catch (err) {
+    // The account exists either way; the user can ask for a resend
+    log("⚠️ Verification email failed:", err.message);
+  }
 
-  if (
-    (usernameCheck.status === "rejected" &&
-      usernameCheck.reason.name !== "NoSuchKey") ||
-    (emailCheck.status === "rejected" && emailCheck.reason.name !== "NoSuchKey")
-  ) {
-    log("❌ S3 error during index check:", {
-      usernameError: usernameCheck.reason?.message,
-      emailError: emailCheck.reason?.message,
-    });
+  return jsonResponse(
+    200,
+    "SUCCESS_CREATE_ACCOUNT",
+    "✅ Account created, check your email to verify it",
+    { userId },
+    logs
+  );
+}
+
+// Writes a new account and its config after reserving the account's index
+// keys. Returns the error response, or null once everything is stored.
+async function storeNewAccount(userId, account, log, logs) {
+  const folder = `users/${userId}/`;
+  const config = defaultConfig();
+
+  // Reserve every index key with conditional writes so that of two
+  // concurrent signups exactly one gets each key. Everything written so far
+  // is rolled back if a later step fails.
+  const [usernameKey, emailKey, ...providerKeys] = claimedIndexKeys(account);
+  const claims = [
+    ["username", usernameKey, { userId }],
+    ["email", emailKey, emailIndexEntry(userId, account)],
+    ...providerKeys.map((key) => ["provider", key, { userId }]),
+  ];
+  const written = [];
+  const rollback = async () => {
+    try {
+      await storage.delete(written);
+      log("Rolled back partial account", { userId, keys: written.length });
+    } catch (err) {
+      log("❌ Rollback failed:", err.message, { keys: written });
+    }
+  };
+
+  let duplicateField = null;
+  try {
+    for (const [field, key, entry] of claims) {
+      if (!(await reserveIndexKey(key, entry))) {
+        duplicateField = field;
+        break;
+      }
+      written.push(key);
+    }
+  } catch (err) {
+    log("❌ Storage error during index reservation:", err.message);
+    await rollback();
     return jsonResponse(500, "ERR_S3", "❌ S3 error", {}, logs);
   }
 
   if (duplicateField) {
     log(`❌ Duplicate ${duplicateField}`);
+    await rollback();
     return jsonResponse(
       409,
       "ERR_DUPLICATE_FIELD",
@@ -216,51 +1086,20 @@ async function handleCreateAccount(event, log, logs) {
     );
   }
 
-  const userId = uuidv4();
-  const folder = `users/${userId}/`;
-  const hashedPassword = await bcrypt.hash(password, 10);
-  const account = { username, password: hashedPassword, email, birthday };
-  const config = { theme: "light", notifications: true };
-
-  try {
-    await Promise.all([
-      s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: `${folder}account.json`,
-          Body: JSON.stringify(account, null, 2),
-          ContentType: "application/json",
-        })
-      ),
-      s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: `${folder}config.json`,
-          Body: JSON.stringify(config, null, 2),
-          ContentType: "application/json",
-        })
-      ),
-      // Write username and email index files for fast lookup
-      s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: usernameKey,
-          Body: JSON.stringify({ userId }),
-          ContentType: "application/json",
-        })
-      ),
-      s3.send(
-        new PutObjectCommand({
-          Bucket: BUCKET,
-          Key: emailKey,
-          Body: JSON.stringify({ userId }),
-          ContentType: "application/json",
-        })
-      ),
-    ]);
-    log("Account, config, and indexes saved to S3");
+  try {
+    await Promise.all(
+      [
+        [`${folder}account.json`, account],
+        [`${folder}config.json`, config],
+      ].map(async ([key, value]) => {
+        await writeJson(key, value, { ifNoneMatch: "*" });
+        written.push(key);
+      })
+    );
+    log("Account, config, and indexes saved to storage");
   } catch (err) {
-    log("❌ S3 upload failed:", err.message);
+    log("❌ Storage upload failed:", err.message);
+    await rollback();
     return jsonResponse(
       500,
       "ERR_S3_UPLOAD",
@@ -269,14 +1108,7 @@ async function handleCreateAccount(event, log, logs) {
       logs
     );
   }
-
-  return jsonResponse(
-    200,
-    "SUCCESS_CREATE_ACCOUNT",
-    "✅ Account created",
-    { userId },
-    logs
-  );
+  return null;
 }
 
 async function handleLogin(event, log, logs) {
@@ -285,7 +1117,7 @@ async function handleLogin(event, log, logs) {
   let body;
   try {
     body = JSON.parse(event.body || "{}");
-    log("Parsed body successfully", { body });
+    log("Parsed body successfully");
   } catch (err) {
     log("❌ JSON parse error:", err.message);
     return jsonResponse(
@@ -313,7 +1145,7 @@ async function handleLogin(event, log, logs) {
   }
 
   // Sanitize checks
-  if (sanitizeUsername(username) || sanitizePassword(password)) {
+  if (sanitizeUsername(username) || typeof password !== "string") {
     log("❌ Invalid characters detected in username or password");
     return jsonResponse(
       400,
@@ -324,15 +1156,20 @@ async function handleLogin(event, log, logs) {
     );
   }
 
+  // Throttle per username and per source IP before spending a bcrypt compare
+  const sourceIp = getSourceIp(event);
+  const lockout = await getLoginLockout(username, sourceIp);
+  if (lockout) {
+    log("❌ Login attempt while locked", { username, sourceIp });
+    return lockedResponse(lockout, logs);
+  }
+
   // Lookup username index (case-insensitive)
   const usernameKey = `users/by-username/${username.toLowerCase()}.json`;
   let userId;
   try {
-    log("Fetching username index from S3", { usernameKey });
-    const usernameRes = await s3.send(
-      new GetObjectCommand({ Bucket: BUCKET, Key: usernameKey })
-    );
-    const usernameJson = JSON.parse(await usernameRes.Body.transformToString());
+    log("Fetching username index from storage", { usernameKey });
+    const usernameJson = await readJson(usernameKey);
     log("Username index found", { usernameJson });
     userId = usernameJson.userId;
   } catch (err) {
@@ -340,96 +1177,129 @@ async function handleLogin(event, log, logs) {
       errCode: err.Code,
       errMessage: err.message,
     });
-    return jsonResponse(
-      401,
-      "ERR_INVALID_CREDENTIALS",
-      "❌ Invalid username or password",
-      {},
-      logs
-    );
+    return await loginFailure(username, sourceIp, log, logs);
   }
 
   // Fetch account.json using userId
   const accountKey = `users/${userId}/account.json`;
   let accountJson;
   try {
-    log("Fetching account file from S3", { accountKey });
-    const accountRes = await s3.send(
-      new GetObjectCommand({ Bucket: BUCKET, Key: accountKey })
-    );
-    const accountString = await accountRes.Body.transformToString();
-    accountJson = JSON.parse(accountString);
-    log("Account file fetched and parsed", { accountJson });
+    log("Fetching account file from storage", { accountKey });
+    accountJson = await readJson(accountKey);
+    log("Account file fetched and parsed");
   } catch (err) {
     log("❌ Account file fetch failed", {
       errCode: err.Code,
       errMessage: err.message,
     });
-    return jsonResponse(
-      401,
-      "ERR_INVALID_CREDENTIALS",
-      "❌ Invalid username or password",
-      {},
-      logs
-    );
+    return await loginFailure(username, sourceIp, log, logs);
   }
 
   // Check username (case-insensitive) and password
   const usernameMatches =
     accountJson.username.toLowerCase() === username.toLowerCase();
-  const passwordMatches = await bcrypt.compare(password, accountJson.password);
+  const passwordMatches = await verifyPassword(password, accountJson.password);
   log("Username match?", { usernameMatches });
   log("Password match?", { passwordMatches });
 
   if (!usernameMatches || !passwordMatches) {
     log("❌ Invalid credentials detected");
+    return await loginFailure(username, sourceIp, log, logs);
+  }
+
+  log("✅ Username and password validated successfully");
+
+  // Soft-deleted accounts cannot log in; they can only be restored
+  if (accountJson.deletedAt) {
+    if (Date.parse(accountJson.purgeAfter) <= Date.now()) {
+      await purgeAccount(userId, log);
+      return jsonResponse(
+        401,
+        "ERR_INVALID_CREDENTIALS",
+        "❌ Invalid username or password",
+        {},
+        logs
+      );
+    }
+    log("❌ Account is pending deletion");
     return jsonResponse(
-      401,
-      "ERR_INVALID_CREDENTIALS",
-      "❌ Invalid username or password",
+      403,
+      "ERR_ACCOUNT_PENDING_DELETION",
+      "❌ Account is scheduled for deletion",
+      { purgeAfter: accountJson.purgeAfter },
+      logs
+    );
+  }
+
+  if (accountJson.disabledAt) {
+    log("❌ Account is disabled", { userId });
+    return jsonResponse(
+      403,
+      "ERR_ACCOUNT_DISABLED",
+      "❌ Account is disabled",
       {},
       logs
     );
   }
 
-  log("✅ Username and password validated successfully");
+  // Hashes from an older version or a lower cost are upgraded while the
+  // plain password is at hand, so raising the policy needs no resets
+  if (needsRehash(accountJson.password)) {
+    await upgradePasswordHash(userId, accountJson.password, password, log);
+  }
+
+  if (accountJson.twoFactor?.enabled)
+    return twoFactorChallengeResponse(userId, log, logs);
+
+  return await completeLogin(userId, accountJson, sourceIp, log, logs);
+}
+
+// With 2FA on, the first factor only earns a short-lived challenge that
+// /login-2fa exchanges for a session
+function twoFactorChallengeResponse(userId, log, logs) {
+  const challengeToken = signPurposeToken(
+    "login-2fa",
+    { userId },
+    TWO_FACTOR_CHALLENGE_EXPIRY
+  );
+  log("Two-factor challenge issued", { userId });
+  return jsonResponse(
+    200,
+    "SUCCESS_2FA_REQUIRED",
+    "✅ Sign-in accepted, enter your authentication code",
+    { challengeToken },
+    logs
+  );
+}
+
+// Final step shared by /login and /login-2fa once every factor has passed:
+// repairs indexes, loads config and starts the session
+async function completeLogin(userId, accountJson, sourceIp, log, logs) {
+  // The IP counter is left alone so one good login cannot reset it
+  await storage.delete([
+    loginAttemptKeys(accountJson.username, sourceIp)[0].key,
+  ]);
 
   // Ensure username/email indexes exist
+  const usernameKey = `users/by-username/${accountJson.username.toLowerCase()}.json`;
   const emailKey = `users/by-email/${accountJson.email.toLowerCase()}.json`;
   const putIndexOps = [];
 
   try {
-    await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: usernameKey }));
+    await storage.get(usernameKey);
   } catch (err) {
     if (err.name === "NoSuchKey") {
-      putIndexOps.push(
-        s3.send(
-          new PutObjectCommand({
-            Bucket: BUCKET,
-            Key: usernameKey,
-            Body: JSON.stringify({ userId }),
-            ContentType: "application/json",
-          })
-        )
-      );
+      putIndexOps.push(writeJson(usernameKey, { userId }));
       log("⚠️ Missing username index recreated");
     }
   }
 
+  const emailEntry = emailIndexEntry(userId, accountJson);
   try {
-    await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: emailKey }));
+    await storage.get(emailKey);
   } catch (err) {
-    if (err.name === "NoSuchKey") {
-      putIndexOps.push(
-        s3.send(
-          new PutObjectCommand({
-            Bucket: BUCKET,
-            Key: emailKey,
-            Body: JSON.stringify({ userId }),
-            ContentType: "application/json",
-          })
-        )
-      );
+    if (err.name === "NoSuchKey" && emailEntry) {
+      putIndexOps.push(writeJson(emailKey, emailEntry));
       log("⚠️ Missing email index recreated");
     }
   }
@@ -441,14 +1311,11 @@ async function handleLogin(event, log, logs) {
 
   // Load config.json if exists
   let configJson = {};
+  let configVersion = null;
   try {
-    const configRes = await s3.send(
-      new GetObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/config.json`,
-      })
-    );
-    configJson = JSON.parse(await configRes.Body.transformToString());
+    const configRes = await storage.get(`users/${userId}/config.json`);
+    configJson = normalizeConfig(JSON.parse(configRes.body));
+    configVersion = configRes.etag;
     log("Config loaded successfully", { configJson });
   } catch (err) {
     log("⚠️ Config load failed, returning empty config", {
@@ -457,17 +1324,16 @@ async function handleLogin(event, log, logs) {
     });
   }
 
-  // Create JWT without expiry
-  let token;
+  // Start a session: short-lived JWT plus a rotating refresh token
+  let tokens;
   try {
-    token = jwt.sign({ userId, username: accountJson.username }, JWT_SECRET);
-    log("JWT created successfully", { token });
+    tokens = await createSession(userId, accountJson, log);
   } catch (err) {
-    log("❌ JWT creation failed", { errMessage: err.message });
+    log("❌ Session creation failed", { errMessage: err.message });
     return jsonResponse(
       500,
       "ERR_INTERNAL_SERVER_ERROR",
-      "❌ Failed to create JWT",
+      "❌ Failed to create session",
       {},
       logs
     );
@@ -477,15 +1343,17 @@ async function handleLogin(event, log, logs) {
     username: accountJson.username,
     email: accountJson.email,
     birthday: accountJson.birthday,
+    emailVerified: isEmailVerified(accountJson),
+    roles: accountJson.roles || [],
   };
 
-  log("=== Login successful ===", { username, userId });
+  log("=== Login successful ===", { username: accountJson.username, userId });
 
   return jsonResponse(
     200,
     "SUCCESS_LOGIN",
     "✅ Login successful",
-    { token, config: configJson, accountDetails },
+    { ...tokens, config: configJson, configVersion, accountDetails },
     logs
   );
 }
@@ -508,15 +1376,10 @@ async function handleGetAccount(event, log, logs) {
 
   let userId;
   try {
-    userId = verifyToken(body, log);
+    ({ userId } = await verifyToken(event, body, log));
   } catch (err) {
-    return jsonResponse(
-      401,
-      "ERR_NOT_LOGGED_IN",
-      `❌ Unauthorized: ${err.message}`,
-      {},
-      logs
-    );
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
   }
 
   if (!userId)
@@ -529,20 +1392,15 @@ async function handleGetAccount(event, log, logs) {
     );
 
   try {
-    const res = await s3.send(
-      new GetObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/account.json`,
-      })
-    );
-    const raw = await res.Body.transformToString();
-    const account = JSON.parse(raw);
-    const { password, ...safeAccount } = account;
+    const account = await readJson(`users/${userId}/account.json`);
+    const { password, twoFactor, ...safeAccount } = account;
     return jsonResponse(
       200,
       "SUCCESS_GET_ACCOUNT",
       "✅ Account fetched",
-      { account: safeAccount },
+      {
+        account: { ...safeAccount, twoFactorEnabled: !!twoFactor?.enabled },
+      },
       logs
     );
   } catch (err) {
@@ -556,115 +1414,232 @@ async function handleGetAccount(event, log, logs) {
     );
   }
 }
+// --- Index reconciliation helpers ---
+// The rebuild walks every account, then every index entry, and fixes the
+// difference in place so lookups keep working while it runs. Each phase is a
+// storage listing; the checkpoint records the phase and listing position.
+const REBUILD_PHASES = [
+  "users/",
+  "users/by-username/",
+  "users/by-email/",
+  "users/by-provider/",
+];
+
+function encodeCheckpoint(phase, token) {
+  return Buffer.from(JSON.stringify({ phase, token })).toString("base64url");
+}
+
+function decodeCheckpoint(checkpoint) {
+  try {
+    const { phase, token } = JSON.parse(
+      Buffer.from(String(checkpoint), "base64url").toString()
+    );
+    if (!Number.isInteger(phase) || !REBUILD_PHASES[phase]) return null;
+    return { phase, token };
+  } catch (err) {
+    return null;
+  }
+}
+
+// users/<userId>/account.json, but not an index entry named account.json
+function accountUserId(key) {
+  const parts = key.split("/");
+  if (parts.length !== 3 || parts[2] !== "account.json") return null;
+  if (parts[1] === "by-username" || parts[1] === "by-email") return null;
+  return parts[1];
+}
+
+// Index keys the account currently claims: username, email, then one per
+// linked sign-in provider
+function claimedIndexKeys(account) {
+  return [
+    `users/by-username/${account.username.toLowerCase()}.json`,
+    `users/by-email/${account.email.toLowerCase()}.json`,
+    ...(account.providers || []).map((link) =>
+      providerIndexKey(link.provider, link.subject)
+    ),
+  ];
+}
+
+async function readIndexEntry(key) {
+  try {
+    const res = await storage.get(key);
+    return { entry: JSON.parse(res.body), etag: res.etag };
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+}
+
+// Works out the changes for one account's own index keys. An entry held by
+// another account that claims the same key is a conflict and left alone.
+async function reconcileAccount(userId, account, loadAccount) {
+  const [usernameKey, emailKey, ...providerKeys] = claimedIndexKeys(account);
+  const expected = [
+    [usernameKey, { userId }],
+    [emailKey, emailIndexEntry(userId, account)],
+    ...providerKeys.map((key) => [key, { userId }]),
+  ];
+  const changes = [];
+  const conflicts = [];
+
+  for (const [key, entry] of expected) {
+    if (!entry) continue; // expired unverified claim, nothing to hold
+    const current = await readIndexEntry(key);
+    if (!current) {
+      changes.push({ action: "add", key, entry });
+      continue;
+    }
+    if (current.entry.userId === userId) {
+      if (JSON.stringify(current.entry) !== JSON.stringify(entry))
+        changes.push({ action: "update", key, entry, etag: current.etag });
+      continue;
+    }
+
+    const holder = await loadAccount(current.entry.userId);
+    const held =
+      holder &&
+      claimedIndexKeys(holder).includes(key) &&
+      !isClaimExpired(current.entry);
+    if (held) {
+      conflicts.push({ key, userIds: [current.entry.userId, userId] });
+    } else {
+      changes.push({ action: "update", key, entry, etag: current.etag });
+    }
+  }
+  return { changes, conflicts };
+}
+
+// An index entry is stale when its account is gone, no longer claims the key
+// and is not holding it as a released name.
+async function reconcileIndexEntry(key, loadAccount) {
+  const current = await readIndexEntry(key);
+  if (!current) return null;
+  const account = await loadAccount(current.entry.userId);
+  if (account && claimedIndexKeys(account).includes(key)) return null;
+  if (account && current.entry.released && !isClaimExpired(current.entry))
+    return null;
+  return { action: "remove", key, userId: current.entry.userId };
+}
+
+async function applyIndexChange(change) {
+  if (change.action === "add")
+    await writeJson(change.key, change.entry, { ifNoneMatch: "*" });
+  else if (change.action === "update")
+    await writeJson(change.key, change.entry, { ifMatch: change.etag });
+  else await storage.delete([change.key]);
+}
+
 // --- REBUILD INDEXES ---
+// Admin only. Reconciles users/by-username/, users/by-email/ and
+// users/by-provider/ against the accounts without clearing them first. Stops
+// after REBUILD_BATCH_SECONDS and returns a checkpoint to pass back in;
+// dryRun reports the changes only.
 async function handleRebuildIndexes(event, log, logs) {
+  let body;
   try {
-    // === Step 0: Clear all existing username/email indexes ===
-    const indexPrefixes = ["users/by-username/", "users/by-email/"];
-    for (const prefix of indexPrefixes) {
-      let ContinuationToken = undefined;
-      do {
-        const listRes = await s3.send(
-          new ListObjectsV2Command({
-            Bucket: BUCKET,
-            Prefix: prefix,
-            ContinuationToken,
-          })
-        );
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
 
-        const keysToDelete = (listRes.Contents || []).map((obj) => ({
-          Key: obj.Key,
-        }));
-        if (keysToDelete.length) {
-          await s3.send(
-            new DeleteObjectsCommand({
-              Bucket: BUCKET,
-              Delete: { Objects: keysToDelete },
-            })
-          );
-          log(`Cleared ${keysToDelete.length} objects from ${prefix}`);
-        }
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const dryRun = body.dryRun === true;
+  let position = { phase: 0, token: undefined };
+  if (body.checkpoint) {
+    position = decodeCheckpoint(body.checkpoint);
+    if (!position)
+      return jsonResponse(
+        400,
+        "ERR_INVALID_CHECKPOINT",
+        "❌ Invalid checkpoint",
+        {},
+        logs
+      );
+  }
 
-        ContinuationToken = listRes.IsTruncated
-          ? listRes.NextContinuationToken
-          : undefined;
-      } while (ContinuationToken);
+  const startedAt = Date.now();
+  const accounts = new Map();
+  const loadAccount = async (userId) => {
+    if (!accounts.has(userId)) {
+      try {
+        accounts.set(userId, await readJson(`users/${userId}/account.json`));
+      } catch (err) {
+        if (err.name !== "NoSuchKey") throw err;
+        accounts.set(userId, null);
+      }
     }
+    return accounts.get(userId);
+  };
 
-    // === Step 1: Rebuild indexes from actual accounts ===
-    let ContinuationToken = undefined;
-    let rebuilt = 0;
+  const summary = { accounts: 0, entries: 0, skipped: 0 };
+  const changes = [];
+  const conflicts = [];
 
-    do {
-      const listRes = await s3.send(
-        new ListObjectsV2Command({
-          Bucket: BUCKET,
-          Prefix: "users/",
-          ContinuationToken,
-        })
-      );
+  try {
+    while (position) {
+      const prefix = REBUILD_PHASES[position.phase];
+      const listRes = await storage.list(prefix, {
+        continuationToken: position.token,
+      });
 
-      const accountKeys = (listRes.Contents || [])
-        .map((obj) => obj.Key)
-        .filter((k) => k.endsWith("account.json"));
-
-      for (const key of accountKeys) {
-        try {
-          const userId = key.split("/")[1]; // users/<uuid>/account.json
-          const accountRes = await s3.send(
-            new GetObjectCommand({ Bucket: BUCKET, Key: key })
-          );
-          const accountJson = JSON.parse(
-            await accountRes.Body.transformToString()
-          );
-
-          const ops = [];
-
-          const usernameKey = `users/by-username/${accountJson.username.toLowerCase()}.json`;
-          const emailKey = `users/by-email/${accountJson.email.toLowerCase()}.json`;
-
-          ops.push(
-            s3.send(
-              new PutObjectCommand({
-                Bucket: BUCKET,
-                Key: usernameKey,
-                Body: JSON.stringify({ userId }),
-                ContentType: "application/json",
-              })
-            )
-          );
-
-          ops.push(
-            s3.send(
-              new PutObjectCommand({
-                Bucket: BUCKET,
-                Key: emailKey,
-                Body: JSON.stringify({ userId }),
-                ContentType: "application/json",
-              })
-            )
-          );
-
-          await Promise.all(ops);
-          rebuilt++;
-          log(`Rebuilt index for userId=${userId}`);
-        } catch (err) {
-          log("❌ Failed processing account:", key, err.message);
+      for (const key of listRes.keys) {
+        let found;
+        if (position.phase === 0) {
+          const userId = accountUserId(key);
+          if (!userId) continue;
+          const account = await loadAccount(userId);
+          if (!account) continue;
+          summary.accounts++;
+          found = await reconcileAccount(userId, account, loadAccount);
+        } else {
+          summary.entries++;
+          const change = await reconcileIndexEntry(key, loadAccount);
+          found = { changes: change ? [change] : [], conflicts: [] };
         }
-      }
+        conflicts.push(...found.conflicts);
 
-      ContinuationToken = listRes.IsTruncated
-        ? listRes.NextContinuationToken
-        : undefined;
-    } while (ContinuationToken);
+        for (const change of found.changes) {
+          if (!dryRun) {
+            try {
+              await applyIndexChange(change);
+            } catch (err) {
+              // Someone else wrote the key meanwhile; the next run rechecks it
+              if (err.name !== "PreconditionFailed" && err.name !== "NoSuchKey")
+                throw err;
+              summary.skipped++;
+              continue;
+            }
+          }
+          const { etag, ...reported } = change;
+          changes.push(reported);
+        }
+      }
 
-    return jsonResponse(
-      200,
-      "SUCCESS_REBUILD_INDEXES",
-      "✅ Index rebuild complete",
-      { rebuilt },
-      logs
-    );
+      if (listRes.nextToken) {
+        position = { phase: position.phase, token: listRes.nextToken };
+      } else if (position.phase + 1 < REBUILD_PHASES.length) {
+        position = { phase: position.phase + 1, token: undefined };
+      } else {
+        position = null;
+      }
+      if (position && Date.now() - startedAt > REBUILD_BATCH_SECONDS * 1000)
+        break;
+    }
   } catch (err) {
     log("❌ Rebuild failed:", err.message);
     return jsonResponse(
@@ -675,6 +1650,76 @@ async function handleRebuildIndexes(event, log, logs) {
       logs
     );
   }
+
+  const checkpoint = position
+    ? encodeCheckpoint(position.phase, position.token)
+    : null;
+  const counts = { ...summary, changes: changes.length };
+  if (conflicts.length) log("⚠️ Index conflicts found", { conflicts });
+  await recordAudit(event, log, admin, "rebuild-indexes", {
+    dryRun,
+    resumedFrom: body.checkpoint || null,
+    complete: !checkpoint,
+    ...counts,
+    conflicts: conflicts.length,
+  });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_REBUILD_INDEXES",
+    checkpoint
+      ? "✅ Index rebuild batch done, continue from the checkpoint"
+      : "✅ Index rebuild complete",
+    { dryRun, checkpoint, summary: counts, changes, conflicts },
+    logs
+  );
+}
+
+// --- Config documents ---
+// Config routes take an optional `game`. Without it they work on the global
+// users/<userId>/config.json, with it on users/<userId>/games/<game>/
+// config.json, which only stores that game's overrides (see GAME_SCHEMAS in
+// config-schema.mjs). Each document keeps its own history.
+function configDocument(userId, game) {
+  const folder = game ? `users/${userId}/games/${game}/` : `users/${userId}/`;
+  return {
+    userId,
+    game: game || null,
+    key: `${folder}config.json`,
+    historyPrefix: `${folder}config-history/`,
+    schema: game ? gameSchema(game) : SETTINGS_SCHEMA,
+  };
+}
+
+// The global document is stored complete, game documents sparse
+function storedConfig(doc, config) {
+  return doc.game ? pruneConfig(config, doc.schema) : normalizeConfig(config);
+}
+
+// Response body for a document. A game gets its resolved config plus the
+// stored overrides; `version` is the game document's own, so changes to
+// inherited global settings never conflict with it.
+async function configView(doc, stored, version) {
+  if (!doc.game) return { config: normalizeConfig(stored), version };
+  let globalConfig = {};
+  try {
+    globalConfig = await readJson(`users/${doc.userId}/config.json`);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+  }
+  const overrides = pruneConfig(stored, doc.schema);
+  return {
+    game: doc.game,
+    config: resolveGameConfig(doc.game, globalConfig, overrides),
+    overrides,
+    version,
+  };
+}
+
+// 400 answer when the request names a game without a declared schema
+function unknownGameResponse(game, logs) {
+  if (game === undefined || game === null || gameSchema(game)) return null;
+  return jsonResponse(400, "ERR_UNKNOWN_GAME", "❌ Unknown game", {}, logs);
 }
 
 // --- GET CONFIG ---
@@ -695,15 +1740,10 @@ async function handleGetConfig(event, log, logs) {
 
   let userId;
   try {
-    userId = verifyToken(body, log);
+    ({ userId } = await verifyToken(event, body, log));
   } catch (err) {
-    return jsonResponse(
-      401,
-      "ERR_NOT_LOGGED_IN",
-      `❌ Unauthorized: ${err.message}`,
-      {},
-      logs
-    );
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
   }
 
   if (!userId)
@@ -715,32 +1755,212 @@ async function handleGetConfig(event, log, logs) {
       logs
     );
 
+  // GET requests name the game in the query string
+  const game = body.game ?? event.queryStringParameters?.game;
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  let stored;
+  let version = null;
   try {
-    const res = await s3.send(
-      new GetObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/config.json`,
-      })
+    const res = await storage.get(doc.key);
+    stored = JSON.parse(res.body);
+    version = res.etag;
+  } catch (err) {
+    if (err.name !== "NoSuchKey") {
+      log("❌ Failed to load config:", err.message);
+      return jsonResponse(
+        404,
+        "ERR_CONFIG_NOT_FOUND",
+        "❌ Config not found",
+        {},
+        logs
+      );
+    }
+    log("⚠️ No config stored, returning defaults");
+  }
+
+  // Missing or outdated fields come back as schema defaults
+  return jsonResponse(
+    200,
+    "SUCCESS_GET_CONFIG",
+    "✅ Config fetched",
+    await configView(doc, stored, version),
+    logs
+  );
+}
+
+// --- Config write helpers ---
+// Every config response carries `version`, the ETag of the document (null
+// before the first write). A write that names an `expectedVersion` only
+// lands if the document is still at that version; without one, `apply` is
+// re-run on the latest document until the write sticks (server-side merge).
+// Throws PreconditionFailed on a version mismatch. `change` ({ sessionId,
+// source }) is stored with the new revision in the config history. Returns
+// the document's configView.
+async function writeConfig(doc, apply, { expectedVersion, ...change }, log) {
+  const { key } = doc;
+  let previous = null;
+  let saved;
+
+  if (expectedVersion === undefined) {
+    const { value, etag } = await updateJson(key, (current) => {
+      previous = current;
+      return storedConfig(doc, apply(current || {}));
+    });
+    saved = { config: value, version: etag };
+  } else {
+    let current = {};
+    let etag = null;
+    try {
+      const res = await storage.get(key);
+      current = JSON.parse(res.body);
+      etag = res.etag;
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+    if (etag !== expectedVersion) {
+      const err = new Error("Config version mismatch");
+      err.name = "PreconditionFailed";
+      throw err;
+    }
+
+    const config = storedConfig(doc, apply(current));
+    const res = await writeJson(
+      key,
+      config,
+      etag ? { ifMatch: etag } : { ifNoneMatch: "*" }
     );
-    const raw = await res.Body.transformToString();
-    const config = JSON.parse(raw);
+    if (etag) previous = current;
+    saved = { config, version: res.etag };
+  }
+
+  try {
+    await recordConfigRevision(doc, previous, saved.config, change);
+  } catch (err) {
+    // The config is saved either way; only its history entry is missing
+    log("⚠️ Config history write failed:", err.message);
+  }
+  return await configView(doc, saved.config, saved.version);
+}
+
+// --- Config history helpers ---
+// Each config write is stored as <doc.historyPrefix><id>.json holding
+// { revisionId, savedAt, sessionId, source, config }. Ids sort by time, and
+// only the newest CONFIG_HISTORY_LIMIT revisions are kept per document.
+const REVISION_ID_REGEX = /^\d{15}-[a-f0-9]{8}$/;
+
+async function listConfigRevisionKeys(doc) {
+  const keys = [];
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list(doc.historyPrefix, {
+      continuationToken: ContinuationToken,
+    });
+    keys.push(...listRes.keys);
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+  return keys.sort();
+}
+
+async function recordConfigRevision(doc, previous, config, change) {
+  let keys = await listConfigRevisionKeys(doc);
+
+  // A config written before history existed is archived once, unattributed
+  const entries = [];
+  if (!keys.length && previous) {
+    entries.push({ config: previous, sessionId: null, source: null });
+  }
+  entries.push({ config, ...change });
+
+  // Offset the timestamp per entry so the archived one always sorts first,
+  // and past the newest revision when two writes share a millisecond
+  const newest = keys.length
+    ? Number(
+        keys[keys.length - 1].slice(doc.historyPrefix.length).split("-")[0]
+      )
+    : 0;
+  const first = Math.max(Date.now() - entries.length + 1, newest + 1);
+  for (const [i, entry] of entries.entries()) {
+    const stamp = String(first + i).padStart(15, "0");
+    const revisionId = `${stamp}-${randomBytes(4).toString("hex")}`;
+    const key = `${doc.historyPrefix}${revisionId}.json`;
+    await writeJson(key, {
+      revisionId,
+      savedAt: new Date().toISOString(),
+      sessionId: entry.sessionId ?? null,
+      source: entry.source,
+      ...(entry.restoredFrom && { restoredFrom: entry.restoredFrom }),
+      config: storedConfig(doc, entry.config),
+    });
+    keys.push(key);
+  }
+
+  keys = keys.sort();
+  if (keys.length > CONFIG_HISTORY_LIMIT) {
+    await storage.delete(keys.slice(0, keys.length - CONFIG_HISTORY_LIMIT));
+  }
+}
+
+async function readConfigRevision(doc, revisionId) {
+  if (!REVISION_ID_REGEX.test(String(revisionId))) return null;
+  try {
+    return await readJson(`${doc.historyPrefix}${revisionId}.json`);
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+}
+
+// 409 answer carrying the current document so the client can rebase
+async function configConflictResponse(doc, log, logs) {
+  let config = {};
+  let version = null;
+  try {
+    const res = await storage.get(doc.key);
+    config = JSON.parse(res.body);
+    version = res.etag;
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+  }
+  log("❌ Config version conflict", {
+    userId: doc.userId,
+    game: doc.game,
+    version,
+  });
+  return jsonResponse(
+    409,
+    "ERR_VERSION_CONFLICT",
+    "❌ Config was changed elsewhere, reload and try again",
+    await configView(doc, config, version),
+    logs
+  );
+}
+
+// Shared 400/413 answer for configs that break the settings schema
+function checkConfigResponse(config, schema, logs) {
+  if (configSize(config) > MAX_CONFIG_BYTES) {
     return jsonResponse(
-      200,
-      "SUCCESS_GET_CONFIG",
-      "✅ Config fetched",
-      { config },
+      413,
+      "ERR_CONFIG_TOO_LARGE",
+      `❌ Config exceeds ${MAX_CONFIG_BYTES} bytes`,
+      { limit: MAX_CONFIG_BYTES },
       logs
     );
-  } catch (err) {
-    log("❌ Failed to load config:", err.message);
+  }
+  const errors = validateConfig(config, schema);
+  if (errors.length) {
+    const [{ field, message }] = errors;
     return jsonResponse(
-      404,
-      "ERR_CONFIG_NOT_FOUND",
-      "❌ Config not found",
-      {},
+      400,
+      "ERR_INVALID_CONFIG",
+      `❌ Invalid config: ${field} ${message}`,
+      { field, errors },
       logs
     );
   }
+  return null;
 }
 
 // --- SAVE CONFIG ---
@@ -759,18 +1979,14 @@ async function handleSaveConfig(event, log, logs) {
     );
   }
 
-  const { config, token } = body;
+  const { config, expectedVersion, merge, game } = body;
   let userId;
+  let sid;
   try {
-    userId = verifyToken(body, log);
+    ({ userId, sid } = await verifyToken(event, body, log));
   } catch (err) {
-    return jsonResponse(
-      401,
-      "ERR_NOT_LOGGED_IN",
-      `❌ Unauthorized: ${err.message}`,
-      {},
-      logs
-    );
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
   }
 
   if (!userId || !config)
@@ -782,23 +1998,41 @@ async function handleSaveConfig(event, log, logs) {
       logs
     );
 
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  const invalid = checkConfigResponse(config, doc.schema, logs);
+  if (invalid) return invalid;
+
   try {
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/config.json`,
-        Body: JSON.stringify(config, null, 2),
-        ContentType: "application/json",
-      })
-    );
+    // merge: the sent settings are laid over the latest stored document.
+    // Otherwise the document is replaced and settings left out fall back
+    // to their defaults (for a game: to the inherited global values).
+    const change = { sessionId: sid, source: "save-config" };
+    const saved = merge
+      ? await writeConfig(
+          doc,
+          (current) => mergeConfig(current, config),
+          change,
+          log
+        )
+      : await writeConfig(
+          doc,
+          () => config,
+          { ...change, expectedVersion },
+          log
+        );
     return jsonResponse(
       200,
       "SUCCESS_SAVE_CONFIG",
       "✅ Config saved",
-      { config },
+      saved,
       logs
     );
   } catch (err) {
+    if (err.name === "PreconditionFailed")
+      return await configConflictResponse(doc, log, logs);
     log("❌ Failed to save config:", err.message);
     return jsonResponse(
       500,
@@ -811,6 +2045,14 @@ async function handleSaveConfig(event, log, logs) {
 }
 
 // --- UPDATE SETTING ---
+// Accepts any mix of:
+//   { key: "audio.volume", value: 40 }            single setting
+//   { settings: { "audio.muted": true, ... } }    batch of settings
+//   { remove: ["theme", "audio.volume"] }         reset keys to default
+// plus an optional `game`, whose removed keys go back to inheriting the
+// global value. Values are checked against the settings schema per key. With an
+// expectedVersion the update fails on a concurrent change unless `merge`
+// is set; without one it is applied to the latest document.
 async function handleUpdateSetting(event, log, logs) {
   let body;
   try {
@@ -826,23 +2068,45 @@ async function handleUpdateSetting(event, log, logs) {
     );
   }
 
-  const { key, value, token } = body;
+  const {
+    key,
+    value,
+    settings = {},
+    remove = [],
+    expectedVersion,
+    merge,
+    game,
+  } = body;
   let userId;
+  let sid;
 
   try {
-    userId = jwt.verify(token, JWT_SECRET).userId;
+    ({ userId, sid } = await verifyToken(event, body, log));
   } catch (err) {
-    log("❌ Invalid token:", err.message);
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  if (
+    typeof settings !== "object" ||
+    settings === null ||
+    Array.isArray(settings) ||
+    (typeof remove !== "string" && !Array.isArray(remove))
+  ) {
     return jsonResponse(
-      401,
-      "ERR_NOT_LOGGED_IN",
-      `❌ Unauthorized: ${err.message}`,
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ settings must be an object and remove a list of keys",
       {},
       logs
     );
   }
 
-  if (!userId || key === undefined || value === undefined)
+  const updates = { ...settings };
+  if (key !== undefined) updates[key] = value;
+  const removals = [].concat(remove);
+
+  if (!userId || (!Object.keys(updates).length && !removals.length))
     return jsonResponse(
       400,
       "ERR_MISSING_FIELDS",
@@ -851,43 +2115,4268 @@ async function handleUpdateSetting(event, log, logs) {
       logs
     );
 
-  if (sanitizeSetting(key) || sanitizeSetting(value)) {
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  const errors = [
+    ...Object.entries(updates).map(([path, v]) =>
+      v === undefined
+        ? { field: path, message: "is missing a value" }
+        : validateSetting(path, v, doc.schema)
+    ),
+    ...removals.map((path) =>
+      findRule(path, doc.schema)
+        ? null
+        : { field: String(path), message: "is not a known setting" }
+    ),
+  ].filter(Boolean);
+  if (errors.length) {
+    const [{ field, message }] = errors;
     return jsonResponse(
       400,
-      "ERR_INVALID_FIELDS",
-      "❌ Invalid input fields",
-      {},
+      "ERR_INVALID_CONFIG",
+      `❌ Invalid config: ${field} ${message}`,
+      { field, errors },
       logs
     );
   }
 
-  try {
-    const configRes = await s3.send(
-      new GetObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/config.json`,
-      })
-    );
-    const config = JSON.parse(await configRes.Body.transformToString());
-    config[sanitizedKey] = sanitizedValue;
+  const apply = (current) => {
+    let config = current;
+    for (const path of removals) config = removeSetting(config, path);
+    for (const [path, v] of Object.entries(updates))
+      config = setSetting(config, path, v);
+    return config;
+  };
 
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: BUCKET,
-        Key: `users/${userId}/config.json`,
-        Body: JSON.stringify(config, null, 2),
-        ContentType: "application/json",
-      })
+  try {
+    const saved = await writeConfig(
+      doc,
+      apply,
+      {
+        expectedVersion: merge ? undefined : expectedVersion,
+        sessionId: sid,
+        source: "update-setting",
+      },
+      log
     );
     return jsonResponse(
       200,
       "SUCCESS_UPDATE_SETTING",
       "✅ Setting updated",
-      { config },
+      saved,
       logs
     );
   } catch (err) {
+    if (err.name === "PreconditionFailed")
+      return await configConflictResponse(doc, log, logs);
     log("❌ Failed to update config:", err.message);
     return jsonResponse(500, "ERR_UPDATE_ERROR", "❌ Update error", {}, logs);
   }
 }
+
+// --- DELETE ACCOUNT ---
+// Soft delete: the account is flagged and kept for DELETION_GRACE_DAYS so it
+// can be restored. The data is purged by the scheduled job afterwards.
+async function handleDeleteAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken } = body;
+  if (!userId || (!password && !idToken))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing fields",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  // Deletion needs the password again, a stolen token is not enough
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  if (account.deletedAt) {
+    return jsonResponse(
+      409,
+      "ERR_ACCOUNT_PENDING_DELETION",
+      "❌ Account is already scheduled for deletion",
+      { purgeAfter: account.purgeAfter },
+      logs
+    );
+  }
+
+  const deletedAt = new Date();
+  const purgeAfter = new Date(
+    deletedAt.getTime() + DELETION_GRACE_DAYS * DAY_MS
+  ).toISOString();
+
+  try {
+    await writeJson(accountKey, {
+      ...account,
+      deletedAt: deletedAt.toISOString(),
+      purgeAfter,
+    });
+    await revokeAllSessions(userId);
+    // Marker lets the purge job find pending deletions without a full scan
+    await writeJson(`deletions/${userId}.json`, { userId, purgeAfter });
+    log("Account soft-deleted", { userId, purgeAfter });
+  } catch (err) {
+    log("❌ Soft delete failed:", err.message);
+    return jsonResponse(
+      500,
+      "ERR_DELETE_ACCOUNT",
+      `❌ Account deletion failed: ${err.message}`,
+      {},
+      logs
+    );
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_DELETE_ACCOUNT",
+    `✅ Account scheduled for deletion in ${DELETION_GRACE_DAYS} days`,
+    { purgeAfter },
+    logs
+  );
+}
+
+// --- RESTORE ACCOUNT ---
+// Undo a soft delete during the grace period. Uses credentials instead of a
+// token because soft-deleted accounts cannot log in: the username with the
+// password, or with a provider idToken for an account without one.
+async function handleRestoreAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { username, password, provider, idToken } = body;
+  if (!username || (!password && !idToken))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing username or password",
+      {},
+      logs
+    );
+
+  if (
+    sanitizeUsername(username) ||
+    (password !== undefined && typeof password !== "string")
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in username or password",
+      {},
+      logs
+    );
+  }
+
+  // Same throttling as /login, this route also checks passwords
+  const sourceIp = getSourceIp(event);
+  const lockout = await getLoginLockout(username, sourceIp);
+  if (lockout) return lockedResponse(lockout, logs);
+
+  let userId;
+  let account;
+  try {
+    ({ userId } = await readJson(
+      `users/by-username/${username.toLowerCase()}.json`
+    ));
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    log("❌ Account lookup failed:", err.message);
+    return await loginFailure(username, sourceIp, log, logs);
+  }
+
+  let verified;
+  try {
+    verified =
+      account.username.toLowerCase() === username.toLowerCase() &&
+      (await checkCredentials(account, { password, provider, idToken }));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return providerErrorResponse(err, logs);
+  }
+  if (!verified) return await loginFailure(username, sourceIp, log, logs);
+
+  if (!account.deletedAt) {
+    return jsonResponse(
+      409,
+      "ERR_ACCOUNT_NOT_DELETED",
+      "❌ Account is not scheduled for deletion",
+      {},
+      logs
+    );
+  }
+
+  if (Date.parse(account.purgeAfter) <= Date.now()) {
+    await purgeAccount(userId, log);
+    return jsonResponse(
+      410,
+      "ERR_RESTORE_WINDOW_EXPIRED",
+      "❌ The restore window has expired",
+      {},
+      logs
+    );
+  }
+
+  const { deletedAt, purgeAfter, ...restored } = account;
+  try {
+    await writeJson(`users/${userId}/account.json`, restored);
+    await storage.delete([`deletions/${userId}.json`]);
+    log("Account restored", { userId });
+  } catch (err) {
+    log("❌ Restore failed:", err.message);
+    return jsonResponse(
+      500,
+      "ERR_RESTORE_ACCOUNT",
+      "❌ Failed to restore account",
+      {},
+      logs
+    );
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_RESTORE_ACCOUNT",
+    "✅ Account restored",
+    { userId },
+    logs
+  );
+}
+
+// --- PURGE DELETED ACCOUNTS ---
+// Run on an EventBridge schedule; hard-deletes every account whose grace
+// period has ended, every account export whose link has expired and every
+// login failure counter that no longer counts.
+async function handlePurgeDeletedAccounts(event, log, logs) {
+  const purged = await purgeDeletedAccounts(log);
+  const exportsRemoved = await purgeExpiredExports(log);
+  const loginAttemptsRemoved = await purgeStaleLoginAttempts(log);
+  return jsonResponse(
+    200,
+    "SUCCESS_PURGE_DELETED_ACCOUNTS",
+    "✅ Purge complete",
+    { purged, exportsRemoved, loginAttemptsRemoved },
+    logs
+  );
+}
+
+async function purgeDeletedAccounts(log) {
+  let purged = 0;
+  let ContinuationToken = undefined;
+
+  do {
+    const listRes = await storage.list("deletions/", {
+      continuationToken: ContinuationToken,
+    });
+
+    for (const key of listRes.keys) {
+      try {
+        const { userId, purgeAfter } = await readJson(key);
+        if (Date.parse(purgeAfter) > Date.now()) continue;
+        await purgeAccount(userId, log);
+        purged++;
+      } catch (err) {
+        log("❌ Failed to purge:", key, err.message);
+      }
+    }
+
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+
+  return purged;
+}
+
+// Remove everything under users/<userId>/ plus the index entries that still
+// point at this user.
+async function purgeAccount(userId, log) {
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    log("⚠️ Account file not found, skipping index deletion:", err.message);
+  }
+
+  if (account) {
+    const staleKeys = [];
+    for (const key of claimedIndexKeys(account)) {
+      try {
+        const entry = await readJson(key);
+        if (entry.userId === userId) staleKeys.push(key);
+      } catch (err) {
+        if (err.name !== "NoSuchKey") throw err;
+      }
+    }
+    await storage.delete(staleKeys);
+    log("✅ Index files deleted", { userId });
+  }
+
+  await removeSocialLinks(userId);
+  await deletePrefix(`users/${userId}/`);
+  await storage.delete([`deletions/${userId}.json`]);
+  await deletePrefix(`exports/${userId}/`);
+  log("✅ Account purged", { userId });
+}
+
+// --- REFRESH ---
+// Exchanges a refresh token for a new access token and rotates the refresh
+// token. Presenting an already-rotated token revokes the whole session.
+async function handleRefresh(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { refreshToken } = body;
+  if (!refreshToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing refreshToken",
+      {},
+      logs
+    );
+
+  const parsed = parseRefreshToken(refreshToken);
+  const invalid = () =>
+    jsonResponse(
+      401,
+      "ERR_INVALID_REFRESH_TOKEN",
+      "❌ Invalid or expired refresh token",
+      {},
+      logs
+    );
+  if (!parsed) return invalid();
+
+  const { userId, sid, secret } = parsed;
+  const key = sessionKey(userId, sid);
+  let session;
+  let etag;
+  try {
+    const res = await storage.get(key);
+    session = JSON.parse(res.body);
+    etag = res.etag;
+  } catch (err) {
+    if (err.name !== "NoSuchKey" && err.name !== "InvalidKey") throw err;
+    log("❌ Refresh for unknown session", { sid });
+    return invalid();
+  }
+
+  if (Date.parse(session.expiresAt) <= Date.now()) {
+    await storage.delete([key]);
+    log("❌ Refresh token expired", { sid });
+    return invalid();
+  }
+
+  const presented = Buffer.from(hashSecret(secret));
+  const expected = Buffer.from(session.refreshHash);
+  if (
+    presented.length !== expected.length ||
+    !timingSafeEqual(presented, expected)
+  ) {
+    // An old token was replayed: assume it leaked and end the session
+    await storage.delete([key]);
+    log("❌ Refresh token reuse detected, session revoked", { sid });
+    return jsonResponse(
+      401,
+      "ERR_REFRESH_TOKEN_REUSED",
+      "❌ Refresh token was already used; session revoked",
+      {},
+      logs
+    );
+  }
+
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return invalid();
+  }
+  if (account.deletedAt || account.disabledAt) {
+    await storage.delete([key]);
+    return invalid();
+  }
+
+  const nextSecret = randomBytes(32).toString("base64url");
+  try {
+    // ifMatch makes two concurrent refreshes with the same token fail one
+    await writeJson(
+      key,
+      {
+        ...session,
+        refreshHash: hashSecret(nextSecret),
+        refreshedAt: new Date().toISOString(),
+        expiresAt: refreshExpiry(),
+      },
+      { ifMatch: etag }
+    );
+  } catch (err) {
+    if (err.name !== "PreconditionFailed" && err.name !== "NoSuchKey")
+      throw err;
+    log("❌ Concurrent refresh lost the race", { sid });
+    return invalid();
+  }
+  log("Session refreshed", { userId, sid });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_REFRESH",
+    "✅ Session refreshed",
+    {
+      token: signAccessToken(userId, account, sid),
+      refreshToken: `${userId}.${sid}.${nextSecret}`,
+      expiresIn: ACCESS_TOKEN_EXPIRY,
+    },
+    logs
+  );
+}
+
+// --- LOGOUT ---
+async function handleLogout(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let claims;
+  try {
+    claims = await verifyToken(event, body, log);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  await storage.delete([sessionKey(claims.userId, claims.sid)]);
+  log("Session revoked", { userId: claims.userId, sid: claims.sid });
+
+  return jsonResponse(200, "SUCCESS_LOGOUT", "✅ Logged out", {}, logs);
+}
+
+// --- LOGOUT ALL ---
+// Revokes every session of the user, including the caller's
+async function handleLogoutAll(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const revoked = await revokeAllSessions(userId);
+  log("All sessions revoked", { userId, revoked });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_LOGOUT_ALL",
+    "✅ Logged out of all sessions",
+    { revoked },
+    logs
+  );
+}
+
+// --- CHANGE PASSWORD ---
+// Needs the current password, or a provider idToken for an account without
+// one (which sets its first password); every other session is logged out
+// afterwards
+async function handleChangePassword(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let claims;
+  try {
+    claims = await verifyToken(event, body, log);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { currentPassword, provider, idToken, newPassword } = body;
+  if ((!currentPassword && !idToken) || !newPassword)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing currentPassword or newPassword",
+      {},
+      logs
+    );
+
+  const passwordProblem = checkPasswordPolicy(newPassword);
+  if (passwordProblem) {
+    return jsonResponse(
+      400,
+      "ERR_WEAK_PASSWORD",
+      `❌ New password ${passwordProblem}`,
+      {},
+      logs
+    );
+  }
+
+  const { userId, sid } = claims;
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password: currentPassword, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  await setPassword(userId, account, newPassword);
+  const revoked = await revokeAllSessions(userId, sid);
+  log("Password changed", { userId, revoked });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_CHANGE_PASSWORD",
+    "✅ Password changed",
+    {},
+    logs
+  );
+}
+
+// --- UPDATE ACCOUNT ---
+// Changes username, email and/or birthday. Needs the password, or a provider
+// idToken for an account without one (and a code when 2FA is on). New names
+// are reserved before the account is written and old ones are released
+// afterwards. A new email starts unverified. The reply carries a fresh
+// token; other sessions pick up the change on /refresh.
+async function handleUpdateAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  let sid;
+  try {
+    ({ userId, sid } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken, code, recoveryCode } = body;
+  const { username, email, birthday } = body;
+  if ((!password && !idToken) || (!username && !email && !birthday))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password or fields to update",
+      {},
+      logs
+    );
+
+  if (
+    (username && sanitizeUsername(username)) ||
+    (email && sanitizeEmail(email)) ||
+    (birthday && sanitizeBirthday(birthday))
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in one or more fields",
+      {},
+      logs
+    );
+  }
+  if (birthday && isUnderAge(birthday)) {
+    return jsonResponse(
+      400,
+      "ERR_TOO_YOUNG",
+      `❌ You must be at least ${MIN_ACCOUNT_AGE} years old`,
+      {},
+      logs
+    );
+  }
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  let etag;
+  try {
+    const res = await storage.get(accountKey);
+    account = JSON.parse(res.body);
+    etag = res.etag;
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  let updated = { ...account };
+  if (account.twoFactor?.enabled) {
+    const second = await verifySecondFactor(
+      event,
+      account,
+      { code, recoveryCode },
+      log,
+      logs
+    );
+    if (second.rejected) return second.rejected;
+    updated.twoFactor = second.twoFactor;
+  }
+
+  const oldUsernameKey = `users/by-username/${account.username.toLowerCase()}.json`;
+  const oldEmailKey = `users/by-email/${account.email.toLowerCase()}.json`;
+  const newUsernameKey = `users/by-username/${(
+    username || account.username
+  ).toLowerCase()}.json`;
+  const newEmailKey = `users/by-email/${(
+    email || account.email
+  ).toLowerCase()}.json`;
+  const usernameMoved = newUsernameKey !== oldUsernameKey;
+  const emailMoved = newEmailKey !== oldEmailKey;
+
+  if (username) updated.username = username;
+  if (birthday) updated.birthday = birthday;
+  if (email) updated.email = email;
+  if (emailMoved) {
+    // The new address has to be verified like at signup
+    const { emailVerifiedAt, ...rest } = updated;
+    updated = {
+      ...rest,
+      emailVerified: false,
+      emailVerification: {
+        claimExpiresAt: new Date(
+          Date.now() + EMAIL_CLAIM_HOURS * 60 * 60 * 1000
+        ).toISOString(),
+        sentAt: [new Date().toISOString()],
+      },
+    };
+  }
+
+  // Same reserve-then-write order as signup; new index keys are removed
+  // again if the account cannot be written
+  const reserved = [];
+  const rollback = async () => {
+    try {
+      await storage.delete(reserved);
+    } catch (err) {
+      log("❌ Rollback failed:", err.message, { keys: reserved });
+    }
+  };
+
+  let duplicateField = null;
+  if (usernameMoved) {
+    if (await reserveIndexKey(newUsernameKey, { userId }))
+      reserved.push(newUsernameKey);
+    else duplicateField = "username";
+  }
+  if (!duplicateField && emailMoved) {
+    if (await reserveIndexKey(newEmailKey, emailIndexEntry(userId, updated)))
+      reserved.push(newEmailKey);
+    else duplicateField = "email";
+  }
+  if (duplicateField) {
+    log(`❌ Duplicate ${duplicateField}`);
+    await rollback();
+    return jsonResponse(
+      409,
+      "ERR_DUPLICATE_FIELD",
+      `❌ Duplicate ${duplicateField}`,
+      { duplicateField },
+      logs
+    );
+  }
+
+  try {
+    await writeJson(accountKey, updated, { ifMatch: etag });
+  } catch (err) {
+    await rollback();
+    if (err.name !== "PreconditionFailed" && err.name !== "NoSuchKey")
+      throw err;
+    log("❌ Account changed during update", { userId });
+    return jsonResponse(
+      409,
+      "ERR_ACCOUNT_CHANGED",
+      "❌ Account was changed elsewhere, try again",
+      {},
+      logs
+    );
+  }
+  log("Account updated", { userId, usernameMoved, emailMoved });
+
+  try {
+    if (usernameMoved) await releaseIndexKey(oldUsernameKey, userId);
+    if (emailMoved) await releaseIndexKey(oldEmailKey, userId);
+  } catch (err) {
+    // The old entry stays; it no longer matches the account either way
+    log("⚠️ Releasing old index entry failed:", err.message);
+  }
+
+  if (emailMoved) {
+    try {
+      await sendVerificationEmail(userId, updated);
+      await mailer.send({
+        to: account.email,
+        subject: "Your email address was changed",
+        text:
+          `Hi ${updated.username},\n\n` +
+          `The email address on your account was changed to ${updated.email}. ` +
+          "If you did not do this, reset your password and contact support.",
+      });
+    } catch (err) {
+      log("⚠️ Email change notification failed:", err.message);
+    }
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_UPDATE_ACCOUNT",
+    "✅ Account updated",
+    {
+      token: signAccessToken(userId, updated, sid),
+      accountDetails: {
+        username: updated.username,
+        email: updated.email,
+        birthday: updated.birthday,
+        emailVerified: isEmailVerified(updated),
+      },
+    },
+    logs
+  );
+}
+
+// --- FORGOT PASSWORD ---
+// Always answers the same way so the route cannot be used to probe which
+// emails are registered, also when the email is held back by the resend
+// limits or the mailer fails.
+async function handleForgotPassword(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { email } = body;
+  if (!email)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing email",
+      {},
+      logs
+    );
+
+  if (sanitizeEmail(email)) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in email",
+      {},
+      logs
+    );
+  }
+
+  const done = () =>
+    jsonResponse(
+      200,
+      "SUCCESS_FORGOT_PASSWORD",
+      "✅ If the email is registered, a reset link has been sent",
+      {},
+      logs
+    );
+
+  let userId;
+  let account;
+  try {
+    ({ userId } = await readJson(`users/by-email/${email.toLowerCase()}.json`));
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    log("No account for reset request");
+    return done();
+  }
+  // Released addresses still point at their old account for a while
+  if (account.email.toLowerCase() !== email.toLowerCase()) return done();
+  if (account.deletedAt) return done();
+
+  const resetKey = `users/${userId}/password-reset.json`;
+  let previous = null;
+  try {
+    previous = await readJson(resetKey);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+  }
+  const now = Date.now();
+  const sentAt = (previous?.sentAt || []).filter(
+    (t) => Date.parse(t) > now - DAY_MS
+  );
+  const last = sentAt.length ? Date.parse(sentAt[sentAt.length - 1]) : 0;
+  if (
+    now < last + RESEND_COOLDOWN_SECONDS * 1000 ||
+    sentAt.length >= RESEND_MAX_PER_DAY
+  ) {
+    log("Reset email rate limited", { userId });
+    return done();
+  }
+
+  const secret = randomBytes(32).toString("base64url");
+  const expiresAt = new Date(
+    now + RESET_TOKEN_MINUTES * 60 * 1000
+  ).toISOString();
+  // A new request replaces any earlier, still-unused token
+  await writeJson(resetKey, {
+    tokenHash: hashSecret(secret),
+    createdAt: new Date(now).toISOString(),
+    expiresAt,
+    sentAt: [...sentAt, new Date(now).toISOString()],
+  });
+
+  const resetToken = `${userId}.${secret}`;
+  const link = PASSWORD_RESET_URL
+    ? `${PASSWORD_RESET_URL}?token=${encodeURIComponent(resetToken)}`
+    : resetToken;
+  try {
+    await mailer.send({
+      to: account.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${account.username},\n\n` +
+        `Use this to reset your password: ${link}\n\n` +
+        `It expires in ${RESET_TOKEN_MINUTES} minutes. ` +
+        "If you did not ask for a reset, you can ignore this email.",
+    });
+  } catch (err) {
+    log("⚠️ Reset email failed:", err.message);
+    return done();
+  }
+  log("Password reset issued", { userId, expiresAt });
+
+  return done();
+}
+
+// --- RESET PASSWORD ---
+async function handleResetPassword(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { resetToken, newPassword } = body;
+  if (!resetToken || !newPassword)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing resetToken or newPassword",
+      {},
+      logs
+    );
+
+  const passwordProblem = checkPasswordPolicy(newPassword);
+  if (passwordProblem) {
+    return jsonResponse(
+      400,
+      "ERR_WEAK_PASSWORD",
+      `❌ New password ${passwordProblem}`,
+      {},
+      logs
+    );
+  }
+
+  const invalid = () =>
+    jsonResponse(
+      400,
+      "ERR_INVALID_RESET_TOKEN",
+      "❌ Invalid or expired reset token",
+      {},
+      logs
+    );
+
+  const [userId, secret, extra] = String(resetToken).split(".");
+  if (!userId || !secret || extra !== undefined) return invalid();
+  if (!/^[A-Za-z0-9-]+$/.test(userId)) return invalid();
+
+  const resetKey = `users/${userId}/password-reset.json`;
+  let reset;
+  let etag;
+  try {
+    const res = await storage.get(resetKey);
+    reset = JSON.parse(res.body);
+    etag = res.etag;
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return invalid();
+  }
+
+  const presented = Buffer.from(hashSecret(secret));
+  const expected = Buffer.from(reset.tokenHash);
+  if (
+    reset.usedAt ||
+    Date.parse(reset.expiresAt) <= Date.now() ||
+    presented.length !== expected.length ||
+    !timingSafeEqual(presented, expected)
+  ) {
+    log("❌ Reset token rejected", { userId });
+    return invalid();
+  }
+
+  // Claim the token first; of two concurrent resets only one passes ifMatch
+  try {
+    await writeJson(
+      resetKey,
+      { ...reset, usedAt: new Date().toISOString() },
+      { ifMatch: etag }
+    );
+  } catch (err) {
+    if (err.name !== "PreconditionFailed" && err.name !== "NoSuchKey")
+      throw err;
+    return invalid();
+  }
+
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return invalid();
+  }
+
+  await setPassword(userId, account, newPassword);
+  await storage.delete([resetKey]);
+  const revoked = await revokeAllSessions(userId);
+  log("Password reset", { userId, revoked });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_RESET_PASSWORD",
+    "✅ Password has been reset",
+    {},
+    logs
+  );
+}
+
+async function setPassword(userId, account, newPassword) {
+  await writeJson(`users/${userId}/account.json`, {
+    ...account,
+    password: await hashPassword(newPassword),
+    passwordChangedAt: new Date().toISOString(),
+  });
+}
+
+// Re-hashes a verified password with the current settings. Best-effort: the
+// write is skipped when the account changed since `verifiedHash` was read.
+async function upgradePasswordHash(userId, verifiedHash, password, log) {
+  const key = `users/${userId}/account.json`;
+  try {
+    const { body, etag } = await storage.get(key);
+    const account = JSON.parse(body);
+    if (account.password !== verifiedHash) return;
+    await writeJson(
+      key,
+      { ...account, password: await hashPassword(password) },
+      { ifMatch: etag }
+    );
+    log("Password hash upgraded", { userId });
+  } catch (err) {
+    log("⚠️ Password hash upgrade failed:", err.message);
+  }
+}
+
+// --- VERIFY EMAIL ---
+// Takes the signed code from the verification email; no login needed so the
+// link works from any device. Clients should /refresh afterwards to get a
+// token that reflects the verified state.
+async function handleVerifyEmail(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { code } = body;
+  if (!code)
+    return jsonResponse(400, "ERR_MISSING_FIELDS", "❌ Missing code", {}, logs);
+
+  const invalid = () =>
+    jsonResponse(
+      400,
+      "ERR_INVALID_VERIFICATION_CODE",
+      "❌ Invalid or expired verification code",
+      {},
+      logs
+    );
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken("verify-email", code);
+  } catch (err) {
+    log("❌ Verification code rejected:", err.message);
+    return invalid();
+  }
+
+  const { userId, email } = decoded;
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return invalid();
+  }
+
+  // The code is tied to the address it was sent to
+  if (account.email.toLowerCase() !== email.toLowerCase()) return invalid();
+
+  if (isEmailVerified(account)) {
+    return jsonResponse(
+      200,
+      "SUCCESS_VERIFY_EMAIL",
+      "✅ Email already verified",
+      {},
+      logs
+    );
+  }
+
+  const claimTaken = () => {
+    log("❌ Email claim was taken by another account", { userId });
+    return jsonResponse(
+      409,
+      "ERR_EMAIL_CLAIM_EXPIRED",
+      "❌ This email address is now used by another account",
+      {},
+      logs
+    );
+  };
+  const emailKey = `users/by-email/${email.toLowerCase()}.json`;
+  let claim = null;
+  try {
+    claim = await storage.get(emailKey);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+  }
+  if (claim && JSON.parse(claim.body).userId !== userId) return claimTaken();
+
+  const { emailVerification, ...rest } = account;
+  const verified = {
+    ...rest,
+    emailVerified: true,
+    emailVerifiedAt: new Date().toISOString(),
+  };
+  // Index first and conditional, so of two accounts verifying the same
+  // address at once only one ends up holding it
+  try {
+    await writeJson(
+      emailKey,
+      emailIndexEntry(userId, verified),
+      claim ? { ifMatch: claim.etag } : { ifNoneMatch: "*" }
+    );
+  } catch (err) {
+    if (err.name !== "PreconditionFailed" && err.name !== "NoSuchKey")
+      throw err;
+    return claimTaken();
+  }
+  await writeJson(accountKey, verified);
+  log("Email verified", { userId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_VERIFY_EMAIL",
+    "✅ Email verified",
+    {},
+    logs
+  );
+}
+
+// --- RESEND VERIFICATION ---
+// Rate limited per account; also renews the email claim if it is still ours
+async function handleResendVerification(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  if (isEmailVerified(account)) {
+    return jsonResponse(
+      409,
+      "ERR_EMAIL_ALREADY_VERIFIED",
+      "❌ Email is already verified",
+      {},
+      logs
+    );
+  }
+
+  const now = Date.now();
+  const sentAt = (account.emailVerification?.sentAt || []).filter(
+    (t) => Date.parse(t) > now - DAY_MS
+  );
+  const last = sentAt.length ? Date.parse(sentAt[sentAt.length - 1]) : 0;
+  const cooldownEnds = last + RESEND_COOLDOWN_SECONDS * 1000;
+  if (now < cooldownEnds || sentAt.length >= RESEND_MAX_PER_DAY) {
+    const retryAt =
+      sentAt.length >= RESEND_MAX_PER_DAY
+        ? Date.parse(sentAt[0]) + DAY_MS
+        : cooldownEnds;
+    const retryAfter = Math.ceil((retryAt - now) / 1000);
+    log("❌ Resend rate limited", { userId, retryAfter });
+    return jsonResponse(
+      429,
+      "ERR_RATE_LIMITED",
+      "❌ Too many verification emails, try again later",
+      { retryAfter },
+      logs
+    );
+  }
+
+  // Renew the claim unless another signup has taken the address meanwhile
+  const emailKey = `users/by-email/${account.email.toLowerCase()}.json`;
+  try {
+    const entry = await readJson(emailKey);
+    if (entry.userId !== userId) {
+      return jsonResponse(
+        409,
+        "ERR_EMAIL_CLAIM_EXPIRED",
+        "❌ This email address is now used by another account",
+        {},
+        logs
+      );
+    }
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+  }
+
+  const updated = {
+    ...account,
+    emailVerification: {
+      claimExpiresAt: new Date(
+        now + EMAIL_CLAIM_HOURS * 60 * 60 * 1000
+      ).toISOString(),
+      sentAt: [...sentAt, new Date(now).toISOString()],
+    },
+  };
+  await writeJson(accountKey, updated);
+  await writeJson(emailKey, emailIndexEntry(userId, updated));
+  await sendVerificationEmail(userId, updated);
+  log("Verification email resent", { userId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_RESEND_VERIFICATION",
+    "✅ Verification email sent",
+    {},
+    logs
+  );
+}
+
+// --- Two-factor helpers ---
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code)
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, "");
+}
+
+// Checks a TOTP code or a recovery code against an enabled enrollment.
+// Returns the updated twoFactor record to store (recovery code consumed,
+// last step recorded against replay) or null when neither matches.
+function checkSecondFactor(twoFactor, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code);
+    if (step === null || step <= (twoFactor.lastUsedStep ?? -1)) return null;
+    return { ...twoFactor, lastUsedStep: step };
+  }
+  if (recoveryCode) {
+    const hash = hashSecret(normalizeRecoveryCode(recoveryCode));
+    if (!twoFactor.recoveryCodes.includes(hash)) return null;
+    return {
+      ...twoFactor,
+      recoveryCodes: twoFactor.recoveryCodes.filter((h) => h !== hash),
+    };
+  }
+  return null;
+}
+
+// checkSecondFactor for every route that asks for a code. Wrong codes count
+// toward the /login lockout like wrong passwords, so a session or challenge
+// token cannot be used to try all million codes. Returns { twoFactor } to
+// store, or { rejected } with the error response.
+async function verifySecondFactor(event, account, codes, log, logs) {
+  const sourceIp = getSourceIp(event);
+  const lockout = await getLoginLockout(account.username, sourceIp);
+  if (lockout) return { rejected: lockedResponse(lockout, logs) };
+
+  const twoFactor = checkSecondFactor(account.twoFactor, codes);
+  if (twoFactor) return { twoFactor };
+  log("❌ Invalid two-factor code");
+  const retryAfter = await recordLoginFailure(account.username, sourceIp);
+  if (retryAfter) return { rejected: lockedResponse(retryAfter, logs) };
+  return {
+    rejected: jsonResponse(
+      401,
+      "ERR_INVALID_2FA_CODE",
+      "❌ Invalid authentication code",
+      {},
+      logs
+    ),
+  };
+}
+
+// --- LOGIN 2FA ---
+// Second step of /login for accounts with two-factor enabled
+async function handleLogin2fa(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { challengeToken, code, recoveryCode } = body;
+  if (!challengeToken || (!code && !recoveryCode))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing challengeToken and code or recoveryCode",
+      {},
+      logs
+    );
+
+  let userId;
+  try {
+    ({ userId } = verifyPurposeToken("login-2fa", challengeToken));
+  } catch (err) {
+    log("❌ Challenge rejected:", err.message);
+    return jsonResponse(
+      401,
+      "ERR_INVALID_CHALLENGE",
+      "❌ Login challenge is invalid or expired, log in again",
+      {},
+      logs
+    );
+  }
+
+  const accountKey = `users/${userId}/account.json`;
+  let accountJson;
+  let etag;
+  try {
+    const res = await storage.get(accountKey);
+    accountJson = JSON.parse(res.body);
+    etag = res.etag;
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return jsonResponse(
+      401,
+      "ERR_INVALID_CHALLENGE",
+      "❌ Login challenge is invalid or expired, log in again",
+      {},
+      logs
+    );
+  }
+
+  if (
+    !accountJson.twoFactor?.enabled ||
+    accountJson.deletedAt ||
+    accountJson.disabledAt
+  ) {
+    return jsonResponse(
+      401,
+      "ERR_INVALID_CHALLENGE",
+      "❌ Login challenge is invalid or expired, log in again",
+      {},
+      logs
+    );
+  }
+
+  const { twoFactor, rejected } = await verifySecondFactor(
+    event,
+    accountJson,
+    { code, recoveryCode },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  // ifMatch: a recovery code or TOTP step can only be spent once
+  accountJson = { ...accountJson, twoFactor };
+  try {
+    await writeJson(accountKey, accountJson, { ifMatch: etag });
+  } catch (err) {
+    if (err.name !== "PreconditionFailed") throw err;
+    return jsonResponse(
+      401,
+      "ERR_INVALID_2FA_CODE",
+      "❌ Invalid authentication code",
+      {},
+      logs
+    );
+  }
+  if (recoveryCode) {
+    log("Recovery code used", {
+      userId,
+      remaining: twoFactor.recoveryCodes.length,
+    });
+  }
+
+  return await completeLogin(
+    userId,
+    accountJson,
+    getSourceIp(event),
+    log,
+    logs
+  );
+}
+
+// --- SETUP 2FA ---
+// Generates a secret for the authenticator app. Nothing is enforced until
+// /enable-2fa confirms a code from it. Both steps need the password (or a
+// provider idToken for an account without one): 2FA turned on from a stolen
+// token would lock the owner out. Players who lose the app and their
+// recovery codes are helped through /admin/reset-2fa.
+async function handleSetup2fa(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken } = body;
+  if (!password && !idToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  if (account.twoFactor?.enabled) {
+    return jsonResponse(
+      409,
+      "ERR_2FA_ALREADY_ENABLED",
+      "❌ Two-factor authentication is already enabled",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  const secret = generateSecret();
+  await writeJson(accountKey, {
+    ...account,
+    twoFactor: { enabled: false, pendingSecret: secret },
+  });
+  log("Two-factor setup started", { userId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_SETUP_2FA",
+    "✅ Scan the code in your authenticator app, then confirm it",
+    {
+      secret,
+      otpauthUri: otpauthUri({
+        issuer: TOTP_ISSUER,
+        accountName: account.username,
+        secret,
+      }),
+    },
+    logs
+  );
+}
+
+// --- ENABLE 2FA ---
+// Confirms enrollment with a code from the app and hands out recovery codes.
+// The recovery codes are only ever shown in this response. Needs the
+// password again, like /setup-2fa.
+async function handleEnable2fa(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken, code } = body;
+  if (!code || (!password && !idToken))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password or code",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  if (account.twoFactor?.enabled) {
+    return jsonResponse(
+      409,
+      "ERR_2FA_ALREADY_ENABLED",
+      "❌ Two-factor authentication is already enabled",
+      {},
+      logs
+    );
+  }
+  const secret = account.twoFactor?.pendingSecret;
+  if (!secret) {
+    return jsonResponse(
+      409,
+      "ERR_2FA_NOT_SET_UP",
+      "❌ Call /setup-2fa first",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_2FA_CODE",
+      "❌ Invalid authentication code",
+      {},
+      logs
+    );
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await writeJson(accountKey, {
+    ...account,
+    twoFactor: {
+      enabled: true,
+      secret,
+      enabledAt: new Date().toISOString(),
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map((c) =>
+        hashSecret(normalizeRecoveryCode(c))
+      ),
+    },
+  });
+  log("Two-factor enabled", { userId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_ENABLE_2FA",
+    "✅ Two-factor authentication enabled, store your recovery codes safely",
+    { recoveryCodes },
+    logs
+  );
+}
+
+// --- DISABLE 2FA ---
+// Needs the password (or a provider idToken for an account without one) and
+// a current code (or a recovery code)
+async function handleDisable2fa(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken, code, recoveryCode } = body;
+  if ((!password && !idToken) || (!code && !recoveryCode))
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password and code or recoveryCode",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  let account;
+  try {
+    account = await readJson(accountKey);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  if (!account.twoFactor?.enabled) {
+    return jsonResponse(
+      409,
+      "ERR_2FA_NOT_ENABLED",
+      "❌ Two-factor authentication is not enabled",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+  const second = await verifySecondFactor(
+    event,
+    account,
+    { code, recoveryCode },
+    log,
+    logs
+  );
+  if (second.rejected) return second.rejected;
+
+  const { twoFactor, ...rest } = account;
+  await writeJson(accountKey, rest);
+  log("Two-factor disabled", { userId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_DISABLE_2FA",
+    "✅ Two-factor authentication disabled",
+    {},
+    logs
+  );
+}
+
+// --- LIST CONFIG HISTORY ---
+// Newest first; configs themselves are fetched per revision. Like the other
+// config routes these take an optional `game`.
+async function handleListConfigHistory(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  // GET requests name the game in the query string
+  const game = body.game ?? event.queryStringParameters?.game;
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  const revisions = [];
+  for (const key of (await listConfigRevisionKeys(doc)).reverse()) {
+    try {
+      const { config, ...meta } = await readJson(key);
+      revisions.push(meta);
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_LIST_CONFIG_HISTORY",
+    "✅ Config history fetched",
+    { revisions },
+    logs
+  );
+}
+
+// --- GET CONFIG REVISION ---
+async function handleGetConfigRevision(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { revisionId, game } = body;
+  if (!revisionId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing revisionId",
+      {},
+      logs
+    );
+
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  const revision = await readConfigRevision(doc, revisionId);
+  if (!revision) {
+    return jsonResponse(
+      404,
+      "ERR_REVISION_NOT_FOUND",
+      "❌ Config revision not found",
+      {},
+      logs
+    );
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_GET_CONFIG_REVISION",
+    "✅ Config revision fetched",
+    { revision: { ...revision, config: storedConfig(doc, revision.config) } },
+    logs
+  );
+}
+
+// --- RESTORE CONFIG REVISION ---
+// Writes an old revision back as the current config; the restore itself
+// becomes a new revision, so it can be undone the same way
+async function handleRestoreConfigRevision(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  let sid;
+  try {
+    ({ userId, sid } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { revisionId, expectedVersion, game } = body;
+  if (!revisionId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing revisionId",
+      {},
+      logs
+    );
+
+  const unknownGame = unknownGameResponse(game, logs);
+  if (unknownGame) return unknownGame;
+  const doc = configDocument(userId, game);
+
+  const revision = await readConfigRevision(doc, revisionId);
+  if (!revision) {
+    return jsonResponse(
+      404,
+      "ERR_REVISION_NOT_FOUND",
+      "❌ Config revision not found",
+      {},
+      logs
+    );
+  }
+
+  try {
+    const saved = await writeConfig(
+      doc,
+      () => revision.config,
+      {
+        expectedVersion,
+        sessionId: sid,
+        source: "restore-config-revision",
+        restoredFrom: revisionId,
+      },
+      log
+    );
+    log("Config revision restored", { userId, game: doc.game, revisionId });
+    return jsonResponse(
+      200,
+      "SUCCESS_RESTORE_CONFIG_REVISION",
+      "✅ Config revision restored",
+      saved,
+      logs
+    );
+  } catch (err) {
+    if (err.name === "PreconditionFailed")
+      return await configConflictResponse(doc, log, logs);
+    throw err;
+  }
+}
+
+// --- Admin helpers ---
+// Every admin action is written to audit/<date>/<time>-<id>.json after it
+// succeeds. A failed audit write fails the request so nothing goes unrecorded
+// silently.
+async function recordAudit(event, log, admin, action, details = {}) {
+  const at = new Date().toISOString();
+  const id = `${at.replace(/[:.]/g, "-")}-${randomBytes(4).toString("hex")}`;
+  await writeJson(
+    `audit/${at.slice(0, 10)}/${id}.json`,
+    {
+      at,
+      action,
+      actorId: admin.userId,
+      actorUsername: admin.username,
+      sourceIp: getSourceIp(event),
+      requestId: log.requestId,
+      ...details,
+    },
+    { ifNoneMatch: "*" }
+  );
+  log("Admin action recorded", { action, actorId: admin.userId });
+}
+
+// Reads the account an admin route acts on as { account, etag }; null for
+// unknown or malformed ids
+async function loadAdminTarget(userId) {
+  if (!/^[A-Za-z0-9-]+$/.test(String(userId))) return null;
+  try {
+    const res = await storage.get(`users/${userId}/account.json`);
+    return { account: JSON.parse(res.body), etag: res.etag };
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+}
+
+// Writes an admin change over the account loadAdminTarget read. ifMatch keeps
+// an account deleted or changed in between from being recreated or
+// overwritten; returns the 404 / 409 response for that case, else null.
+async function saveAdminTarget(userId, etag, account, logs) {
+  try {
+    await writeJson(`users/${userId}/account.json`, account, { ifMatch: etag });
+    return null;
+  } catch (err) {
+    if (err.name === "NoSuchKey")
+      return jsonResponse(
+        404,
+        "ERR_ACCOUNT_NOT_FOUND",
+        "❌ Account not found",
+        {},
+        logs
+      );
+    if (err.name !== "PreconditionFailed") throw err;
+    return jsonResponse(
+      409,
+      "ERR_ACCOUNT_CHANGED",
+      "❌ Account was changed elsewhere, try again",
+      {},
+      logs
+    );
+  }
+}
+
+// Account fields an admin may see; never the password hash or 2FA secrets
+function adminAccountView(userId, account) {
+  const { password, twoFactor, ...rest } = account;
+  return { userId, ...rest, twoFactorEnabled: !!twoFactor?.enabled };
+}
+
+// --- ADMIN FIND USER ---
+// Looks an account up by userId, username or email
+async function handleAdminFindUser(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { userId: givenId, username, email } = body;
+  if (!givenId && !username && !email)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing userId, username or email",
+      {},
+      logs
+    );
+  if (
+    (username && sanitizeUsername(username)) ||
+    (email && sanitizeEmail(email))
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in username or email",
+      {},
+      logs
+    );
+  }
+
+  let userId = givenId;
+  if (!userId) {
+    const indexKey = username
+      ? `users/by-username/${username.toLowerCase()}.json`
+      : `users/by-email/${email.toLowerCase()}.json`;
+    try {
+      ({ userId } = await readJson(indexKey));
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+    }
+  }
+
+  const account = userId && (await loadAdminTarget(userId))?.account;
+  await recordAudit(event, log, admin, "find-user", {
+    query: { userId: givenId, username, email },
+    targetUserId: account ? userId : null,
+  });
+  if (!account)
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+
+  const sessions = (await listSessionKeys(userId)).length;
+  return jsonResponse(
+    200,
+    "SUCCESS_ADMIN_FIND_USER",
+    "✅ Account found",
+    { account: adminAccountView(userId, account), sessions },
+    logs
+  );
+}
+
+// --- ADMIN DISABLE ACCOUNT ---
+// Blocks login and refresh and ends every session until re-enabled
+async function handleAdminDisableAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { userId } = body;
+  if (!userId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing userId",
+      {},
+      logs
+    );
+
+  const target = await loadAdminTarget(userId);
+  if (!target)
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+
+  if (userId === admin.userId)
+    return jsonResponse(
+      409,
+      "ERR_CANNOT_DISABLE_SELF",
+      "❌ Admins cannot disable their own account",
+      {},
+      logs
+    );
+
+  const reason = body.reason ? String(body.reason).slice(0, 500) : null;
+  const conflict = await saveAdminTarget(
+    userId,
+    target.etag,
+    {
+      ...target.account,
+      disabledAt: new Date().toISOString(),
+      disabledBy: admin.userId,
+      disabledReason: reason,
+    },
+    logs
+  );
+  if (conflict) return conflict;
+  const revoked = await revokeAllSessions(userId);
+  await recordAudit(event, log, admin, "disable-account", {
+    targetUserId: userId,
+    reason,
+    revoked,
+  });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_ADMIN_DISABLE_ACCOUNT",
+    "✅ Account disabled",
+    { revoked },
+    logs
+  );
+}
+
+// --- ADMIN ENABLE ACCOUNT ---
+async function handleAdminEnableAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { userId } = body;
+  if (!userId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing userId",
+      {},
+      logs
+    );
+
+  const target = await loadAdminTarget(userId);
+  if (!target)
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+
+  if (!target.account.disabledAt)
+    return jsonResponse(
+      409,
+      "ERR_ACCOUNT_NOT_DISABLED",
+      "❌ Account is not disabled",
+      {},
+      logs
+    );
+
+  const { disabledAt, disabledBy, disabledReason, ...rest } = target.account;
+  const conflict = await saveAdminTarget(userId, target.etag, rest, logs);
+  if (conflict) return conflict;
+  await recordAudit(event, log, admin, "enable-account", {
+    targetUserId: userId,
+  });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_ADMIN_ENABLE_ACCOUNT",
+    "✅ Account enabled",
+    {},
+    logs
+  );
+}
+
+// --- ADMIN FORCE LOGOUT ---
+// Ends every session; access tokens already issued stop working at once
+// because verifyToken checks the session
+async function handleAdminForceLogout(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { userId } = body;
+  if (!userId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing userId",
+      {},
+      logs
+    );
+
+  const target = await loadAdminTarget(userId);
+  if (!target)
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+
+  const revoked = await revokeAllSessions(userId);
+  await recordAudit(event, log, admin, "force-logout", {
+    targetUserId: userId,
+    revoked,
+  });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_ADMIN_FORCE_LOGOUT",
+    "✅ All sessions ended",
+    { revoked },
+    logs
+  );
+}
+
+// --- ADMIN RESET 2FA ---
+// Recovery for a player who lost both the authenticator and the recovery
+// codes, once support has confirmed who they are. Turns 2FA off and ends
+// every session; the player can enroll again after signing in.
+async function handleAdminReset2fa(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { userId } = body;
+  if (!userId)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing userId",
+      {},
+      logs
+    );
+
+  const target = await loadAdminTarget(userId);
+  if (!target)
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+
+  if (!target.account.twoFactor)
+    return jsonResponse(
+      409,
+      "ERR_2FA_NOT_ENABLED",
+      "❌ Two-factor authentication is not enabled",
+      {},
+      logs
+    );
+
+  const { twoFactor, ...rest } = target.account;
+  const conflict = await saveAdminTarget(userId, target.etag, rest, logs);
+  if (conflict) return conflict;
+  const revoked = await revokeAllSessions(userId);
+  await recordAudit(event, log, admin, "reset-2fa", {
+    targetUserId: userId,
+    revoked,
+  });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_ADMIN_RESET_2FA",
+    "✅ Two-factor authentication turned off",
+    { revoked },
+    logs
+  );
+}
+
+// --- ADMIN PURGE DELETED ACCOUNTS ---
+// Runs the scheduled purge on demand
+async function handleAdminPurgeDeletedAccounts(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let admin;
+  try {
+    admin = await verifyToken(event, body, log, { role: "admin" });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const purged = await purgeDeletedAccounts(log);
+  await recordAudit(event, log, admin, "purge-deleted-accounts", { purged });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_PURGE_DELETED_ACCOUNTS",
+    "✅ Purge complete",
+    { purged },
+    logs
+  );
+}
+
+// --- Account export helpers ---
+// An export is every object stored for the user, keyed by storage key:
+// everything under users/<userId>/, the index entries, the login counter and
+// any deletion marker. Credentials stay out of it.
+const EXPORT_WITHHELD_FIELDS = [
+  "password",
+  "refreshHash",
+  "tokenHash",
+  "secret",
+  "pendingSecret",
+  "recoveryCodes",
+];
+
+function withholdSecrets(value) {
+  if (Array.isArray(value)) return value.map(withholdSecrets);
+  if (typeof value !== "object" || value === null) return value;
+  const result = {};
+  for (const [key, v] of Object.entries(value)) {
+    result[key] = EXPORT_WITHHELD_FIELDS.includes(key)
+      ? "[withheld]"
+      : withholdSecrets(v);
+  }
+  return result;
+}
+
+async function buildAccountExport(userId, account) {
+  const keys = [];
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list(`users/${userId}/`, {
+      continuationToken: ContinuationToken,
+    });
+    keys.push(...listRes.keys);
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+  keys.push(
+    ...claimedIndexKeys(account),
+    loginAttemptKeys(account.username, "unknown")[0].key,
+    `deletions/${userId}.json`
+  );
+
+  const objects = {};
+  for (const key of keys) {
+    let body;
+    try {
+      ({ body } = await storage.get(key));
+    } catch (err) {
+      if (err.name === "NoSuchKey") continue;
+      throw err;
+    }
+    let value;
+    try {
+      value = JSON.parse(body);
+    } catch (err) {
+      value = body;
+    }
+    // Index entries are shared keys; only include them while they are ours
+    if (key.startsWith("users/by-") && value.userId !== userId) continue;
+    objects[key] = withholdSecrets(value);
+  }
+
+  return { exportedAt: new Date().toISOString(), userId, objects };
+}
+
+// Stored exports live at exports/<userId>/<expiresAtMs>-<id>.json so the
+// scheduled purge can drop expired ones without reading them
+async function purgeExpiredExports(log) {
+  const expired = [];
+  let ContinuationToken = undefined;
+  do {
+    const listRes = await storage.list("exports/", {
+      continuationToken: ContinuationToken,
+    });
+    for (const key of listRes.keys) {
+      const expiresAt = Number(key.split("/").pop().split("-")[0]);
+      if (!(expiresAt > Date.now())) expired.push(key);
+    }
+    ContinuationToken = listRes.nextToken;
+  } while (ContinuationToken);
+
+  await storage.delete(expired);
+  if (expired.length) log("Expired exports removed", { count: expired.length });
+  return expired.length;
+}
+
+// Link to /download-export next to the route that was called, keeping any
+// stage or base path in front of it
+function exportDownloadLink(event, token) {
+  const query = `?token=${encodeURIComponent(token)}`;
+  if (EXPORT_DOWNLOAD_URL) return `${EXPORT_DOWNLOAD_URL}${query}`;
+  const domain = event.requestContext?.domainName;
+  if (!domain) return null;
+  const rawPath = event.rawPath || event.path || "";
+  const basePath = rawPath.slice(
+    0,
+    rawPath.length - resolveRoute(event).length
+  );
+  return `https://${domain}${basePath}/download-export${query}`;
+}
+
+// --- EXPORT ACCOUNT ---
+// Data access requests: needs the password, or a provider idToken for an
+// account without one. delivery "inline" (default)
+// returns the export in the response, "link" stores it and returns a
+// download link that expires after EXPORT_LINK_MINUTES.
+async function handleExportAccount(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { password, provider, idToken, delivery = "inline" } = body;
+  if (!password && !idToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password",
+      {},
+      logs
+    );
+  if (delivery !== "inline" && delivery !== "link")
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      '❌ delivery must be "inline" or "link"',
+      {},
+      logs
+    );
+
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    log("❌ Failed to load account:", err.message);
+    return jsonResponse(
+      404,
+      "ERR_ACCOUNT_NOT_FOUND",
+      "❌ Account not found",
+      {},
+      logs
+    );
+  }
+
+  const rejected = await reauthenticate(
+    event,
+    account,
+    { password, provider, idToken },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+
+  const exported = await buildAccountExport(userId, account);
+  log("Account export built", {
+    userId,
+    delivery,
+    objects: Object.keys(exported.objects).length,
+  });
+
+  if (delivery === "inline") {
+    return jsonResponse(
+      200,
+      "SUCCESS_EXPORT_ACCOUNT",
+      "✅ Account data exported",
+      { export: exported },
+      logs
+    );
+  }
+
+  const expiresAt = Date.now() + EXPORT_LINK_MINUTES * 60 * 1000;
+  const exportId = `${expiresAt}-${randomBytes(8).toString("hex")}`;
+  await writeJson(`exports/${userId}/${exportId}.json`, exported, {
+    ifNoneMatch: "*",
+  });
+  const token = signPurposeToken(
+    "export-download",
+    { userId, exportId },
+    `${EXPORT_LINK_MINUTES}m`
+  );
+
+  return jsonResponse(
+    200,
+    "SUCCESS_EXPORT_ACCOUNT",
+    "✅ Account data exported, download it before the link expires",
+    {
+      downloadUrl: exportDownloadLink(event, token),
+      downloadToken: token,
+      expiresAt: new Date(expiresAt).toISOString(),
+    },
+    logs
+  );
+}
+
+// --- DOWNLOAD EXPORT ---
+// GET /download-export?token=..., no login needed so the link can be opened
+// in a browser; the signed token is the credential
+async function handleDownloadExport(event, log, logs) {
+  const token = event.queryStringParameters?.token;
+  const invalid = () =>
+    jsonResponse(
+      404,
+      "ERR_EXPORT_NOT_FOUND",
+      "❌ Export link is invalid or expired",
+      {},
+      logs
+    );
+  if (!token) return invalid();
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken("export-download", token);
+  } catch (err) {
+    log("❌ Export token rejected:", err.message);
+    return invalid();
+  }
+
+  let body;
+  try {
+    ({ body } = await storage.get(
+      `exports/${decoded.userId}/${decoded.exportId}.json`
+    ));
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return invalid();
+  }
+  log("Account export downloaded", { userId: decoded.userId });
+
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": 'attachment; filename="account-export.json"',
+      "Cache-Control": "no-store",
+    },
+    body,
+  };
+}
+
+// --- Profile helpers ---
+// users/<userId>/profile.json holds what other players may see:
+//   { displayName, avatar, bio, privacy: { <field>: "public" | "private" } }
+// joinedAt comes from account.createdAt. Nothing else from account.json is
+// ever part of a profile.
+const PROFILE_FIELDS = ["displayName", "avatar", "bio"];
+const PRIVACY_FIELDS = [...PROFILE_FIELDS, "joinedAt"];
+const PRIVACY_LEVELS = ["public", "private"];
+const DISPLAY_NAME_MAX_LENGTH = 32;
+const BIO_MAX_LENGTH = 280;
+// Avatars are references to art the clients ship, never free URLs
+const AVATAR_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+// Page sizes for player searches and friend lists
+const PAGE_DEFAULT_LIMIT = 20;
+const PAGE_MAX_LIMIT = 50;
+
+function profileKey(userId) {
+  return `users/${userId}/profile.json`;
+}
+
+async function readProfile(userId) {
+  try {
+    return await readJson(profileKey(userId));
+  } catch (err) {
+    if (err.name === "NoSuchKey") return {};
+    throw err;
+  }
+}
+
+// The owner sees every field and the privacy settings, everyone else only
+// the public fields
+function profileView(account, profile, { owner = false } = {}) {
+  const privacy = Object.fromEntries(
+    PRIVACY_FIELDS.map((f) => [f, profile.privacy?.[f] || "public"])
+  );
+  const fields = {
+    displayName: profile.displayName ?? null,
+    avatar: profile.avatar ?? null,
+    bio: profile.bio ?? null,
+    // Left out rather than null for accounts whose creation time is unknown
+    joinedAt: account.createdAt,
+  };
+  if (owner) return { username: account.username, ...fields, privacy };
+
+  const view = { username: account.username };
+  for (const field of PRIVACY_FIELDS) {
+    if (privacy[field] === "public") view[field] = fields[field];
+  }
+  return view;
+}
+
+// Resolves a username through the index to the account now using it.
+// Released names and lapsed signups resolve to nothing.
+async function findAccountByUsername(username) {
+  const name = username.toLowerCase();
+  const found = await readIndexEntry(`users/by-username/${name}.json`);
+  if (!found || found.entry.released || isClaimExpired(found.entry))
+    return null;
+
+  const { userId } = found.entry;
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+  return account.username.toLowerCase() === name ? { userId, account } : null;
+}
+
+// As above, limited to accounts others may look at: deleted and disabled
+// accounts are unlisted
+async function findListedAccount(username) {
+  const found = await findAccountByUsername(username);
+  const listed = found && !found.account.deletedAt && !found.account.disabledAt;
+  return listed ? found : null;
+}
+
+// Returns a message describing the first invalid field, or null
+function checkProfileUpdate(update) {
+  const { displayName, avatar, bio, privacy } = update;
+  if (displayName !== undefined && displayName !== null) {
+    if (typeof displayName !== "string" || !displayName.trim())
+      return "displayName must be a non-empty string";
+    if ([...displayName].length > DISPLAY_NAME_MAX_LENGTH)
+      return `displayName must be at most ${DISPLAY_NAME_MAX_LENGTH} characters`;
+    if (/\p{Cc}/u.test(displayName))
+      return "displayName must not contain control characters";
+  }
+  if (avatar !== undefined && avatar !== null && !AVATAR_REGEX.test(avatar))
+    return "avatar must be an avatar id";
+  if (bio !== undefined && bio !== null) {
+    if (typeof bio !== "string") return "bio must be a string";
+    if ([...bio].length > BIO_MAX_LENGTH)
+      return `bio must be at most ${BIO_MAX_LENGTH} characters`;
+    // Line breaks are fine in a bio, other control characters are not
+    if (/[^\P{Cc}\n]/u.test(bio))
+      return "bio must not contain control characters";
+  }
+  if (privacy !== undefined) {
+    if (
+      typeof privacy !== "object" ||
+      privacy === null ||
+      Array.isArray(privacy)
+    )
+      return "privacy must be an object";
+    for (const [field, level] of Object.entries(privacy)) {
+      if (!PRIVACY_FIELDS.includes(field))
+        return `privacy.${field} is not a profile field`;
+      if (!PRIVACY_LEVELS.includes(level))
+        return `privacy.${field} must be one of: ${PRIVACY_LEVELS.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// --- GET PROFILE ---
+// { username } fetches another player's public profile; without a username
+// the caller gets their own, including private fields and privacy settings
+async function handleGetProfile(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const username = body.username ?? event.queryStringParameters?.username;
+  if (username === undefined) {
+    const account = await readJson(`users/${userId}/account.json`);
+    return jsonResponse(
+      200,
+      "SUCCESS_GET_PROFILE",
+      "✅ Profile fetched",
+      {
+        profile: profileView(account, await readProfile(userId), {
+          owner: true,
+        }),
+      },
+      logs
+    );
+  }
+
+  if (typeof username !== "string" || !username || sanitizeUsername(username))
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in username",
+      {},
+      logs
+    );
+
+  const found = await findListedAccount(username);
+  if (!found) {
+    return jsonResponse(
+      404,
+      "ERR_PROFILE_NOT_FOUND",
+      "❌ Profile not found",
+      {},
+      logs
+    );
+  }
+
+  const profile = await readProfile(found.userId);
+  return jsonResponse(
+    200,
+    "SUCCESS_GET_PROFILE",
+    "✅ Profile fetched",
+    {
+      profile: profileView(found.account, profile, {
+        owner: found.userId === userId,
+      }),
+    },
+    logs
+  );
+}
+
+// --- UPDATE PROFILE ---
+// Sets any of displayName, avatar and bio (null clears one) and per-field
+// privacy, e.g. { privacy: { bio: "private" } }
+async function handleUpdateProfile(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const changes = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  if (!Object.keys(changes).length && body.privacy === undefined)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Nothing to update",
+      {},
+      logs
+    );
+
+  const problem = checkProfileUpdate(body);
+  if (problem) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      `❌ Invalid profile: ${problem}`,
+      {},
+      logs
+    );
+  }
+  if (typeof changes.displayName === "string")
+    changes.displayName = changes.displayName.trim();
+
+  const { value: profile } = await updateJson(
+    profileKey(userId),
+    (current) => ({
+      ...current,
+      ...changes,
+      privacy: { ...current?.privacy, ...body.privacy },
+      updatedAt: new Date().toISOString(),
+    })
+  );
+  const account = await readJson(`users/${userId}/account.json`);
+  log("Profile updated", { userId, fields: Object.keys(changes) });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_UPDATE_PROFILE",
+    "✅ Profile updated",
+    { profile: profileView(account, profile, { owner: true }) },
+    logs
+  );
+}
+
+// --- SEARCH USERS ---
+// Prefix search over the username index, case-insensitive and in index
+// order. Pass the returned `cursor` to get the next page; a page can hold
+// fewer than `limit` players since unlisted accounts are skipped.
+async function handleSearchUsers(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  try {
+    await verifyToken(event, body, log);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  // GET requests pass the same fields in the query string
+  const params = { ...event.queryStringParameters, ...body };
+  const { prefix, cursor } = params;
+  const limit = Number(params.limit ?? PAGE_DEFAULT_LIMIT);
+  if (typeof prefix !== "string" || !prefix)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing prefix",
+      {},
+      logs
+    );
+  const name = prefix.toLowerCase();
+  if (
+    sanitizeUsername(prefix) ||
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > PAGE_MAX_LIMIT ||
+    (cursor !== undefined &&
+      (typeof cursor !== "string" ||
+        sanitizeUsername(cursor) ||
+        !cursor.startsWith(name)))
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      `❌ Invalid prefix, cursor or limit (1-${PAGE_MAX_LIMIT})`,
+      {},
+      logs
+    );
+  }
+
+  const indexPrefix = "users/by-username/";
+  const res = await storage.list(`${indexPrefix}${name}`, {
+    startAfter: cursor && `${indexPrefix}${cursor}.json`,
+    maxKeys: limit,
+  });
+
+  const players = [];
+  let last = null;
+  for (const key of res.keys) {
+    last = key.slice(indexPrefix.length, -".json".length);
+    const found = await findListedAccount(last);
+    if (!found) continue;
+    const profile = await readProfile(found.userId);
+    players.push(profileView(found.account, profile));
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_SEARCH_USERS",
+    "✅ Players found",
+    { players, cursor: res.nextToken ? last : null },
+    logs
+  );
+}
+
+// --- Friends helpers ---
+// The social graph lives next to each account, one object per relation:
+//   users/<userId>/friends/<otherId>.json                    { userId, at }
+//   users/<userId>/friend-requests/incoming/<otherId>.json   { userId, at }
+//   users/<userId>/friend-requests/outgoing/<otherId>.json   { userId, at }
+//   users/<userId>/blocked/<otherId>.json                    { userId, at }
+// Friendships and requests are stored on both sides (a request is outgoing
+// for the sender and incoming for the recipient), blocks only on the side
+// of the player who blocked.
+const SOCIAL_LISTS = {
+  friends: "friends/",
+  incoming: "friend-requests/incoming/",
+  outgoing: "friend-requests/outgoing/",
+  blocked: "blocked/",
+};
+// Which list holds the other side's copy of a two-sided relation
+const MIRROR_LISTS = {
+  friends: "friends",
+  incoming: "outgoing",
+  outgoing: "incoming",
+};
+
+function socialKey(userId, list, otherId) {
+  return `users/${userId}/${SOCIAL_LISTS[list]}${otherId}.json`;
+}
+
+// Both copies of a relation, `list` naming the caller's side
+function relationKeys(userId, list, otherId) {
+  return [
+    socialKey(userId, list, otherId),
+    socialKey(otherId, MIRROR_LISTS[list], userId),
+  ];
+}
+
+async function hasSocialEntry(userId, list, otherId) {
+  try {
+    await storage.get(socialKey(userId, list, otherId));
+    return true;
+  } catch (err) {
+    if (err.name === "NoSuchKey") return false;
+    throw err;
+  }
+}
+
+function socialError(message, code, statusCode) {
+  return Object.assign(new Error(message), { code, statusCode });
+}
+
+function socialErrorResponse(err, logs) {
+  return jsonResponse(err.statusCode, err.code, `❌ ${err.message}`, {}, logs);
+}
+
+// Resolves the player a social route names by `username`; throws a
+// socialError for a missing, unknown or own username. Routes that only
+// remove a relation pass `unlisted` so deleted and disabled players can
+// still be dropped.
+async function loadSocialTarget(userId, username, { unlisted = false } = {}) {
+  if (typeof username !== "string" || !username)
+    throw socialError("Missing username", "ERR_MISSING_FIELDS", 400);
+  if (sanitizeUsername(username))
+    throw socialError(
+      "Invalid characters in username",
+      "ERR_INVALID_FIELDS",
+      400
+    );
+  const found = unlisted
+    ? await findAccountByUsername(username)
+    : await findListedAccount(username);
+  if (!found)
+    throw socialError("Player not found", "ERR_PLAYER_NOT_FOUND", 404);
+  if (found.userId === userId)
+    throw socialError("That is your own account", "ERR_SELF_TARGET", 400);
+  return found;
+}
+
+// Friends first, then the requests go, so a failure in between leaves a
+// friendship with a stale request rather than a lost request
+async function addFriendship(userId, otherId) {
+  const at = new Date().toISOString();
+  await writeJson(socialKey(userId, "friends", otherId), {
+    userId: otherId,
+    at,
+  });
+  await writeJson(socialKey(otherId, "friends", userId), { userId, at });
+  await storage.delete([
+    ...relationKeys(userId, "incoming", otherId),
+    ...relationKeys(userId, "outgoing", otherId),
+  ]);
+}
+
+// Removes the other side of every two-sided relation; runs before an
+// account's own folder is purged
+async function removeSocialLinks(userId) {
+  const mirrors = [];
+  for (const list of Object.keys(MIRROR_LISTS)) {
+    let ContinuationToken = undefined;
+    do {
+      const listRes = await storage.list(
+        `users/${userId}/${SOCIAL_LISTS[list]}`,
+        { continuationToken: ContinuationToken }
+      );
+      for (const key of listRes.keys) {
+        const otherId = key.slice(key.lastIndexOf("/") + 1, -".json".length);
+        mirrors.push(socialKey(otherId, MIRROR_LISTS[list], userId));
+      }
+      ContinuationToken = listRes.nextToken;
+    } while (ContinuationToken);
+  }
+  await storage.delete(mirrors);
+}
+
+// --- SEND FRIEND REQUEST ---
+// { username }. If that player already asked the caller, they simply
+// become friends. Blocks in either direction refuse the request.
+async function handleSendFriendRequest(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (
+    (await hasSocialEntry(otherId, "blocked", userId)) ||
+    (await hasSocialEntry(userId, "blocked", otherId))
+  ) {
+    log("❌ Friend request blocked", { userId, otherId });
+    return jsonResponse(
+      403,
+      "ERR_FRIEND_REQUEST_BLOCKED",
+      "❌ You cannot send this player a friend request",
+      {},
+      logs
+    );
+  }
+
+  if (await hasSocialEntry(userId, "friends", otherId)) {
+    return jsonResponse(
+      409,
+      "ERR_ALREADY_FRIENDS",
+      "❌ You are already friends",
+      {},
+      logs
+    );
+  }
+
+  const username = target.account.username;
+  if (await hasSocialEntry(userId, "incoming", otherId)) {
+    await addFriendship(userId, otherId);
+    log("Crossed friend requests accepted", { userId, otherId });
+    return jsonResponse(
+      200,
+      "SUCCESS_FRIEND_ADDED",
+      "✅ Friend added",
+      { username },
+      logs
+    );
+  }
+
+  // The recipient's copy is written first and only once, so a repeated
+  // request is reported instead of resetting the date
+  const at = new Date().toISOString();
+  try {
+    await writeJson(
+      socialKey(otherId, "incoming", userId),
+      { userId, at },
+      { ifNoneMatch: "*" }
+    );
+  } catch (err) {
+    if (err.name !== "PreconditionFailed") throw err;
+    return jsonResponse(
+      409,
+      "ERR_REQUEST_PENDING",
+      "❌ Friend request already sent",
+      {},
+      logs
+    );
+  }
+  await writeJson(socialKey(userId, "outgoing", otherId), {
+    userId: otherId,
+    at,
+  });
+  log("Friend request sent", { userId, otherId });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_FRIEND_REQUEST_SENT",
+    "✅ Friend request sent",
+    { username },
+    logs
+  );
+}
+
+// --- ACCEPT FRIEND REQUEST ---
+async function handleAcceptFriendRequest(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (!(await hasSocialEntry(userId, "incoming", otherId))) {
+    return jsonResponse(
+      404,
+      "ERR_REQUEST_NOT_FOUND",
+      "❌ No friend request from this player",
+      {},
+      logs
+    );
+  }
+
+  await addFriendship(userId, otherId);
+  log("Friend request accepted", { userId, otherId });
+  return jsonResponse(
+    200,
+    "SUCCESS_FRIEND_ADDED",
+    "✅ Friend added",
+    { username: target.account.username },
+    logs
+  );
+}
+
+// --- DECLINE FRIEND REQUEST ---
+async function handleDeclineFriendRequest(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username, {
+      unlisted: true,
+    });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (!(await hasSocialEntry(userId, "incoming", otherId))) {
+    return jsonResponse(
+      404,
+      "ERR_REQUEST_NOT_FOUND",
+      "❌ No friend request from this player",
+      {},
+      logs
+    );
+  }
+
+  await storage.delete(relationKeys(userId, "incoming", otherId));
+  log("Friend request declined", { userId, otherId });
+  return jsonResponse(
+    200,
+    "SUCCESS_DECLINE_FRIEND_REQUEST",
+    "✅ Friend request declined",
+    {},
+    logs
+  );
+}
+
+// --- CANCEL FRIEND REQUEST ---
+async function handleCancelFriendRequest(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username, {
+      unlisted: true,
+    });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (!(await hasSocialEntry(userId, "outgoing", otherId))) {
+    return jsonResponse(
+      404,
+      "ERR_REQUEST_NOT_FOUND",
+      "❌ No friend request to this player",
+      {},
+      logs
+    );
+  }
+
+  await storage.delete(relationKeys(userId, "outgoing", otherId));
+  log("Friend request cancelled", { userId, otherId });
+  return jsonResponse(
+    200,
+    "SUCCESS_CANCEL_FRIEND_REQUEST",
+    "✅ Friend request cancelled",
+    {},
+    logs
+  );
+}
+
+// --- REMOVE FRIEND ---
+async function handleRemoveFriend(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username, {
+      unlisted: true,
+    });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (!(await hasSocialEntry(userId, "friends", otherId))) {
+    return jsonResponse(
+      404,
+      "ERR_NOT_FRIENDS",
+      "❌ This player is not your friend",
+      {},
+      logs
+    );
+  }
+
+  await storage.delete(relationKeys(userId, "friends", otherId));
+  log("Friend removed", { userId, otherId });
+  return jsonResponse(
+    200,
+    "SUCCESS_REMOVE_FRIEND",
+    "✅ Friend removed",
+    {},
+    logs
+  );
+}
+
+// --- BLOCK USER ---
+// Ends any friendship and drops pending requests both ways; the blocked
+// player can no longer send requests
+async function handleBlockUser(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  await writeJson(socialKey(userId, "blocked", otherId), {
+    userId: otherId,
+    at: new Date().toISOString(),
+  });
+  await storage.delete([
+    ...relationKeys(userId, "friends", otherId),
+    ...relationKeys(userId, "incoming", otherId),
+    ...relationKeys(userId, "outgoing", otherId),
+  ]);
+  log("Player blocked", { userId, otherId });
+
+  return jsonResponse(200, "SUCCESS_BLOCK_USER", "✅ Player blocked", {}, logs);
+}
+
+// --- UNBLOCK USER ---
+async function handleUnblockUser(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  let target;
+  try {
+    target = await loadSocialTarget(userId, body.username, {
+      unlisted: true,
+    });
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return socialErrorResponse(err, logs);
+  }
+
+  const otherId = target.userId;
+  if (!(await hasSocialEntry(userId, "blocked", otherId))) {
+    return jsonResponse(
+      404,
+      "ERR_NOT_BLOCKED",
+      "❌ This player is not blocked",
+      {},
+      logs
+    );
+  }
+
+  await storage.delete([socialKey(userId, "blocked", otherId)]);
+  log("Player unblocked", { userId, otherId });
+  return jsonResponse(
+    200,
+    "SUCCESS_UNBLOCK_USER",
+    "✅ Player unblocked",
+    {},
+    logs
+  );
+}
+
+// --- LIST FRIENDS ---
+// { list: "friends" | "incoming" | "outgoing" | "blocked", cursor, limit }.
+// Each entry is the player's public profile plus `at`, when the relation
+// started; deleted and disabled players are listed as { username,
+// unavailable: true, at }. Pass the returned `cursor` to get the next page.
+async function handleListFriends(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  // GET requests pass the same fields in the query string
+  const params = { ...event.queryStringParameters, ...body };
+  const { list = "friends", cursor } = params;
+  const limit = Number(params.limit ?? PAGE_DEFAULT_LIMIT);
+  if (
+    !Object.hasOwn(SOCIAL_LISTS, list) ||
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > PAGE_MAX_LIMIT ||
+    (cursor !== undefined && !/^[A-Za-z0-9-]+$/.test(String(cursor)))
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      `❌ Invalid list, cursor or limit (1-${PAGE_MAX_LIMIT})`,
+      {},
+      logs
+    );
+  }
+
+  const prefix = `users/${userId}/${SOCIAL_LISTS[list]}`;
+  const res = await storage.list(prefix, {
+    startAfter: cursor && `${prefix}${cursor}.json`,
+    maxKeys: limit,
+  });
+
+  const players = [];
+  let last = null;
+  for (const key of res.keys) {
+    last = key.slice(prefix.length, -".json".length);
+    let entry;
+    let account;
+    try {
+      entry = await readJson(key);
+      account = await readJson(`users/${entry.userId}/account.json`);
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+      continue;
+    }
+    // Deleted and disabled players show by name only, so the relation can
+    // still be removed
+    if (account.deletedAt || account.disabledAt) {
+      players.push({
+        username: account.username,
+        unavailable: true,
+        at: entry.at,
+      });
+      continue;
+    }
+    const profile = await readProfile(entry.userId);
+    players.push({ ...profileView(account, profile), at: entry.at });
+  }
+
+  return jsonResponse(
+    200,
+    "SUCCESS_LIST_FRIENDS",
+    "✅ List fetched",
+    { list, players, cursor: res.nextToken ? last : null },
+    logs
+  );
+}
+
+// --- Sign-in provider helpers ---
+// A linked provider is kept on the account as
+//   providers: [{ provider, subject, email, linkedAt }]
+// and indexed at users/by-provider/<provider>/<id>.json holding { userId },
+// where <id> is the SHA-256 of the subject so any id format makes a safe key.
+function providerIndexKey(provider, subject) {
+  const id = createHash("sha256").update(String(subject)).digest("hex");
+  return `users/by-provider/${provider}/${id}.json`;
+}
+
+// Whether the identity is among the account's linked providers
+function isProviderLinked(account, provider, subject) {
+  return (account.providers || []).some(
+    (link) => link.provider === provider && link.subject === subject
+  );
+}
+
+// Checks an ID token from a configured provider; throws an authError when
+// the token is not valid or the provider cannot be reached
+async function verifyProviderToken(provider, idToken) {
+  try {
+    return await identityProviders.verify(provider, idToken);
+  } catch (err) {
+    if (err.name === "ProviderUnavailable")
+      throw authError(err.message, "ERR_PROVIDER_UNAVAILABLE", 503);
+    if (err.name !== "InvalidIdToken") throw err;
+    throw authError(err.message, "ERR_INVALID_PROVIDER_TOKEN");
+  }
+}
+
+// Response for a verifyProviderToken error; an unreachable provider is a
+// temporary outage, not a failed sign-in
+function providerErrorResponse(err, logs) {
+  if (err.code !== "ERR_PROVIDER_UNAVAILABLE")
+    return authErrorResponse(err, logs);
+  return jsonResponse(
+    503,
+    err.code,
+    "❌ Sign-in provider is unavailable, try again later",
+    {},
+    logs
+  );
+}
+
+// 400 answer for a request without a usable provider and ID token
+function providerFieldsResponse(provider, idToken, logs) {
+  if (!provider || !idToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing provider or idToken",
+      {},
+      logs
+    );
+  if (!identityProviders.has(provider))
+    return jsonResponse(
+      400,
+      "ERR_UNKNOWN_PROVIDER",
+      "❌ Unknown sign-in provider",
+      {},
+      logs
+    );
+  return null;
+}
+
+// Linked providers as shown to the account owner
+function providerLinksView(account) {
+  return (account.providers || []).map(({ provider, email, linkedAt }) => ({
+    provider,
+    email,
+    linkedAt,
+  }));
+}
+
+// --- LOGIN WITH PROVIDER ---
+// { provider, idToken }. Signs in the account linked to that identity; the
+// provider replaces the password, 2FA still applies. Identities are never
+// matched to accounts by email.
+async function handleLoginProvider(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { provider, idToken } = body;
+  const invalid = providerFieldsResponse(provider, idToken, logs);
+  if (invalid) return invalid;
+
+  let identity;
+  try {
+    identity = await verifyProviderToken(provider, idToken);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    log("❌ Provider token rejected", { provider, reason: err.message });
+    return providerErrorResponse(err, logs);
+  }
+
+  const notLinked = () =>
+    jsonResponse(
+      404,
+      "ERR_PROVIDER_NOT_LINKED",
+      "❌ No account is linked to this sign-in",
+      {},
+      logs
+    );
+  const found = await readIndexEntry(
+    providerIndexKey(provider, identity.subject)
+  );
+  if (!found) return notLinked();
+
+  const { userId } = found.entry;
+  let account;
+  try {
+    account = await readJson(`users/${userId}/account.json`);
+  } catch (err) {
+    if (err.name !== "NoSuchKey") throw err;
+    return notLinked();
+  }
+  // The index entry can outlive an unlink that stopped halfway
+  if (!isProviderLinked(account, provider, identity.subject))
+    return notLinked();
+
+  if (account.deletedAt) {
+    return jsonResponse(
+      403,
+      "ERR_ACCOUNT_PENDING_DELETION",
+      "❌ Account is scheduled for deletion",
+      { purgeAfter: account.purgeAfter },
+      logs
+    );
+  }
+  if (account.disabledAt) {
+    log("❌ Account is disabled", { userId });
+    return jsonResponse(
+      403,
+      "ERR_ACCOUNT_DISABLED",
+      "❌ Account is disabled",
+      {},
+      logs
+    );
+  }
+
+  log("✅ Provider identity validated", { userId, provider });
+  if (account.twoFactor?.enabled)
+    return twoFactorChallengeResponse(userId, log, logs);
+
+  return await completeLogin(userId, account, getSourceIp(event), log, logs);
+}
+
+// --- CREATE ACCOUNT WITH PROVIDER ---
+// { provider, idToken, username, birthday } plus optional email and
+// password. The email defaults to the provider's; it only counts as
+// verified when the provider verified that same address. Answers with a
+// session so the player is signed in straight away.
+async function handleCreateAccountProvider(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  const { provider, idToken, username, birthday, password } = body;
+  const invalid = providerFieldsResponse(provider, idToken, logs);
+  if (invalid) return invalid;
+
+  let identity;
+  try {
+    identity = await verifyProviderToken(provider, idToken);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    log("❌ Provider token rejected", { provider, reason: err.message });
+    return providerErrorResponse(err, logs);
+  }
+
+  const email = body.email || identity.email;
+  if (!username || !birthday || !email) {
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Required fields are missing",
+      {},
+      logs
+    );
+  }
+  if (
+    typeof username !== "string" ||
+    typeof email !== "string" ||
+    sanitizeUsername(username) ||
+    sanitizeEmail(email) ||
+    sanitizeBirthday(birthday)
+  ) {
+    return jsonResponse(
+      400,
+      "ERR_INVALID_FIELDS",
+      "❌ Invalid characters in one or more fields",
+      {},
+      logs
+    );
+  }
+  if (password !== undefined) {
+    const passwordProblem = checkPasswordPolicy(password);
+    if (passwordProblem) {
+      return jsonResponse(
+        400,
+        "ERR_WEAK_PASSWORD",
+        `❌ Password ${passwordProblem}`,
+        {},
+        logs
+      );
+    }
+  }
+  if (isUnderAge(birthday)) {
+    return jsonResponse(
+      400,
+      "ERR_TOO_YOUNG",
+      `❌ You must be at least ${MIN_ACCOUNT_AGE} years old to register`,
+      {},
+      logs
+    );
+  }
+
+  const userId = uuidv4();
+  const now = new Date().toISOString();
+  const emailVerified =
+    identity.emailVerified &&
+    identity.email.toLowerCase() === email.toLowerCase();
+  const account = {
+    username,
+    // Without a password the provider is the only way in until one is set
+    // through /forgot-password
+    password: password === undefined ? null : await hashPassword(password),
+    email,
+    birthday,
+    createdAt: now,
+    emailVerified,
+    ...(!emailVerified && {
+      emailVerification: {
+        claimExpiresAt: new Date(
+          Date.now() + EMAIL_CLAIM_HOURS * 60 * 60 * 1000
+        ).toISOString(),
+        sentAt: [now],
+      },
+    }),
+    providers: [
+      {
+        provider,
+        subject: identity.subject,
+        email: identity.email,
+        linkedAt: now,
+      },
+    ],
+  };
+
+  const failed = await storeNewAccount(userId, account, log, logs);
+  if (failed) return failed;
+
+  if (!emailVerified) {
+    try {
+      await sendVerificationEmail(userId, account);
+    } catch (err) {
+      log("⚠️ Verification email failed:", err.message);
+    }
+  }
+
+  const tokens = await createSession(userId, account, log);
+  log("Account created with provider", { userId, provider });
+  return jsonResponse(
+    200,
+    "SUCCESS_CREATE_ACCOUNT",
+    "✅ Account created",
+    { userId, ...tokens, emailVerified },
+    logs
+  );
+}
+
+// --- LINK PROVIDER ---
+// { provider, idToken } from a signed-in player. One identity per provider
+// per account, and an identity belongs to one account only. Adding a way to
+// sign in needs the password, or { currentProvider, currentIdToken } from a
+// linked provider for an account without one, plus a code when 2FA is on.
+async function handleLinkProvider(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { provider, idToken } = body;
+  const invalid = providerFieldsResponse(provider, idToken, logs);
+  if (invalid) return invalid;
+  if (!body.password && !body.currentIdToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password or currentIdToken",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  const account = await readJson(accountKey);
+  const rejected = await reauthenticate(
+    event,
+    account,
+    {
+      password: body.password,
+      provider: body.currentProvider,
+      idToken: body.currentIdToken,
+    },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+  let twoFactor;
+  if (account.twoFactor?.enabled) {
+    const second = await verifySecondFactor(
+      event,
+      account,
+      { code: body.code, recoveryCode: body.recoveryCode },
+      log,
+      logs
+    );
+    if (second.rejected) return second.rejected;
+    twoFactor = second.twoFactor;
+  }
+
+  let identity;
+  try {
+    identity = await verifyProviderToken(provider, idToken);
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return providerErrorResponse(err, logs);
+  }
+
+  const existing = (account.providers || []).find(
+    (link) => link.provider === provider
+  );
+  if (existing && existing.subject !== identity.subject) {
+    return jsonResponse(
+      409,
+      "ERR_PROVIDER_ALREADY_LINKED",
+      "❌ Another identity from this provider is linked, unlink it first",
+      {},
+      logs
+    );
+  }
+
+  // Claim the identity first; of two accounts linking it only one wins
+  const indexKey = providerIndexKey(provider, identity.subject);
+  if (!existing && !(await reserveIndexKey(indexKey, { userId }))) {
+    const holder = await readIndexEntry(indexKey);
+    if (holder?.entry.userId !== userId) {
+      return jsonResponse(
+        409,
+        "ERR_PROVIDER_LINKED",
+        "❌ This sign-in is linked to another account",
+        {},
+        logs
+      );
+    }
+  }
+
+  let saved;
+  try {
+    ({ value: saved } = await updateJson(accountKey, (current) => ({
+      ...current,
+      ...(twoFactor && { twoFactor }),
+      providers: [
+        ...(current.providers || []).filter(
+          (link) => link.provider !== provider
+        ),
+        existing || {
+          provider,
+          subject: identity.subject,
+          email: identity.email,
+          linkedAt: new Date().toISOString(),
+        },
+      ],
+    })));
+  } catch (err) {
+    if (!existing) await storage.delete([indexKey]);
+    throw err;
+  }
+  log("Provider linked", { userId, provider });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_LINK_PROVIDER",
+    "✅ Sign-in provider linked",
+    { providers: providerLinksView(saved) },
+    logs
+  );
+}
+
+// --- UNLINK PROVIDER ---
+// { provider }. Refused when it is the account's last way to sign in. Needs
+// the same re-authentication as /link-provider.
+async function handleUnlinkProvider(event, log, logs) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch (err) {
+    log("❌ JSON parse error:", err.message);
+    return jsonResponse(
+      400,
+      "ERR_INVALID_JSON",
+      "❌ Invalid JSON body",
+      {},
+      logs
+    );
+  }
+
+  let userId;
+  try {
+    ({ userId } = await verifyToken(event, body, log));
+  } catch (err) {
+    if (!err.statusCode) throw err;
+    return authErrorResponse(err, logs);
+  }
+
+  const { provider } = body;
+  if (!provider)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing provider",
+      {},
+      logs
+    );
+  if (!body.password && !body.currentIdToken)
+    return jsonResponse(
+      400,
+      "ERR_MISSING_FIELDS",
+      "❌ Missing password or currentIdToken",
+      {},
+      logs
+    );
+
+  const accountKey = `users/${userId}/account.json`;
+  const account = await readJson(accountKey);
+  const rejected = await reauthenticate(
+    event,
+    account,
+    {
+      password: body.password,
+      provider: body.currentProvider,
+      idToken: body.currentIdToken,
+    },
+    log,
+    logs
+  );
+  if (rejected) return rejected;
+  let twoFactor;
+  if (account.twoFactor?.enabled) {
+    const second = await verifySecondFactor(
+      event,
+      account,
+      { code: body.code, recoveryCode: body.recoveryCode },
+      log,
+      logs
+    );
+    if (second.rejected) return second.rejected;
+    twoFactor = second.twoFactor;
+  }
+
+  const providers = account.providers || [];
+  const link = providers.find((l) => l.provider === provider);
+  if (!link) {
+    return jsonResponse(
+      404,
+      "ERR_PROVIDER_NOT_LINKED",
+      "❌ This provider is not linked",
+      {},
+      logs
+    );
+  }
+  if (!account.password && providers.length === 1) {
+    return jsonResponse(
+      409,
+      "ERR_LAST_SIGN_IN_METHOD",
+      "❌ Set a password or link another provider first",
+      {},
+      logs
+    );
+  }
+
+  const { value: saved } = await updateJson(accountKey, (current) => ({
+    ...current,
+    ...(twoFactor && { twoFactor }),
+    providers: (current.providers || []).filter((l) => l.provider !== provider),
+  }));
+  const indexKey = providerIndexKey(provider, link.subject);
+  const entry = await readIndexEntry(indexKey);
+  if (entry?.entry.userId === userId) await storage.delete([indexKey]);
+  log("Provider unlinked", { userId, provider });
+
+  return jsonResponse(
+    200,
+    "SUCCESS_UNLINK_PROVIDER",
+    "✅ Sign-in provider unlinked",
+    { providers: providerLinksView(saved) },
+    logs
+  );
+}
+
+// --- JWKS ---
+// Public keys game servers use to verify access tokens on their own. They
+// should pick the key by the token's kid, accept only "at+jwt" tokens with
+// iss TOKEN_ISSUER and aud ACCESS_TOKEN_AUDIENCE, and refetch this document
+// when they meet an unknown kid.
+async function handleJwks(event, log, logs) {
+  const response = jsonResponse(
+    200,
+    "SUCCESS_JWKS",
+    "✅ Token signing keys",
+    tokenSigner.jwks(),
+    logs
+  );
+  response.headers["Cache-Control"] = `public, max-age=${JWKS_MAX_AGE_SECONDS}`;
+  return response;
+}
@@ -0,0 +1,95 @@
+import { randomUUID } from "crypto";
+
+// Structured request logging. Each entry is written to the console as one
+// JSON line (CloudWatch picks these up per request):
+//   { timestamp, level, requestId, elapsedMs, message, data }
+// Secrets are redacted before an entry is written anywhere.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[REDACTED]";
+
+// Field names whose values are never logged, matched case-insensitively
+const SECRET_KEY_REGEX =
+  /password|token|secret|hash|authorization|cookie|^code$|recoverycodes?$/i;
+// Values that look like credentials even inside free text
+const SECRET_VALUE_PATTERNS = [
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g, // JWT
+  /\$2[aby]?\$\d{2}\$[./A-Za-z0-9]{53}/g, // bcrypt hash
+];
+
+function redactString(value) {
+  return SECRET_VALUE_PATTERNS.reduce(
+    (text, pattern) => text.replace(pattern, REDACTED),
+    value
+  );
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object" || value === null) return value;
+  if (depth > 8) return "[Truncated]";
+  if (value instanceof Error) return redactString(value.message);
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  // Flags such as passwordMatches stay readable, they carry no secret
+  const result = {};
+  for (const [key, v] of Object.entries(value)) {
+    const secret = SECRET_KEY_REGEX.test(key) && typeof v !== "boolean";
+    result[key] = secret ? REDACTED : redact(v, depth + 1);
+  }
+  return result;
+}
+
+// Messages keep the handlers' markers: "❌" is an error, "⚠️" a warning
+function levelOf(message) {
+  if (message.startsWith("❌")) return "error";
+  if (message.startsWith("⚠️")) return "warn";
+  return "info";
+}
+
+// Returns log(...args), called like console.log: strings form the message,
+// objects are merged into `data`. log.debug/info/warn/error pick the level
+// explicitly. Every entry is also pushed to `entries`.
+export function createLogger({
+  requestId = randomUUID(),
+  level = "info",
+  entries = [],
+  write = (line) => console.log(line),
+} = {}) {
+  const startedAt = Date.now();
+  // "silent" drops everything, e.g. for test runs
+  const threshold =
+    level === "silent" ? Infinity : LEVELS[level] ?? LEVELS.info;
+
+  const emit = (entryLevel, args) => {
+    const text = [];
+    let data;
+    for (const arg of args) {
+      if (typeof arg === "object" && arg !== null && !(arg instanceof Error)) {
+        data = { ...data, ...arg };
+      } else {
+        text.push(arg instanceof Error ? arg.message : String(arg));
+      }
+    }
+    const message = redactString(text.join(" "));
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: entryLevel || levelOf(message),
+      requestId,
+      elapsedMs: Date.now() - startedAt,
+      message,
+      ...(data && { data: redact(data) }),
+    };
+    if (LEVELS[entry.level] < threshold) return;
+    entries.push(entry);
+    write(JSON.stringify(entry));
+  };
+
+  const log = (...args) => emit(null, args);
+  for (const name of Object.keys(LEVELS)) {
+    log[name] = (...args) => emit(name, args);
+  }
+  log.requestId = requestId;
+  log.elapsedMs = () => Date.now() - startedAt;
+  return log;
+}
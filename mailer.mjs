@@ -0,0 +1,79 @@
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { SESv2Client, SendEmailCommand } from "@aws-sdk/client-sesv2";
+
+// Every mailer exposes the same shape:
+//   send({ to, subject, text }) -> { messageId }
+
+const DEFAULT_REGION = "us-east-1";
+
+// --- SES backend ---
+export function createSesMailer({ from, region, client } = {}) {
+  const ses = client || new SESv2Client({ region });
+
+  return {
+    async send({ to, subject, text }) {
+      const res = await ses.send(
+        new SendEmailCommand({
+          FromEmailAddress: from,
+          Destination: { ToAddresses: [to] },
+          Content: {
+            Simple: {
+              Subject: { Data: subject },
+              Body: { Text: { Data: text } },
+            },
+          },
+        })
+      );
+      return { messageId: res.MessageId };
+    },
+  };
+}
+
+// --- Local outbox backend ---
+// Nothing leaves the machine: messages are kept in `sent` and, when `dir` is
+// set, also written there as <messageId>.json so they can be inspected.
+export function createOutboxMailer({ dir } = {}) {
+  const sent = [];
+
+  return {
+    sent,
+    async send({ to, subject, text }) {
+      const message = {
+        messageId: randomUUID(),
+        to,
+        subject,
+        text,
+        sentAt: new Date().toISOString(),
+      };
+      sent.push(message);
+      if (dir) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, `${message.messageId}.json`),
+          JSON.stringify(message, null, 2)
+        );
+      }
+      return { messageId: message.messageId };
+    },
+  };
+}
+
+// --- Backend selection ---
+// MAILER_BACKEND=ses (default) sends from MAIL_FROM through SES,
+// MAILER_BACKEND=outbox keeps messages local (MAIL_OUTBOX_DIR optional).
+export function createMailer(env = process.env) {
+  const backend = (env.MAILER_BACKEND || "ses").toLowerCase();
+
+  if (backend === "ses") {
+    return createSesMailer({
+      from: env.MAIL_FROM,
+      region: env.SES_REGION || env.AWS_REGION || DEFAULT_REGION,
+    });
+  }
+  if (backend === "outbox") {
+    return createOutboxMailer({ dir: env.MAIL_OUTBOX_DIR });
+  }
+  throw new Error(`Unknown MAILER_BACKEND: ${backend}`);
+}
@@ -0,0 +1,133 @@
+import { createPublicKey } from "crypto";
+import jwt from "jsonwebtoken";
+
+// OpenID Connect ID token verification for third-party sign-in.
+// OIDC_PROVIDERS is a JSON object of providers keyed by a short name:
+//   { "google": { "issuer": "https://accounts.google.com",
+//                 "jwksUri": "https://www.googleapis.com/oauth2/v3/certs",
+//                 "audience": "<our client id>" } }
+// `issuer` and `audience` may also be lists, `algorithms` defaults to RS256
+// and ES256. Signing keys are fetched from jwksUri and cached; a token signed
+// with a kid we have not seen triggers a refetch. A provider whose JWKS cannot
+// be fetched in time fails with ProviderUnavailable. Providers that only speak
+// OpenID 2.0 (Steam) need a bridge that issues ID tokens.
+
+const DEFAULT_ALGORITHMS = ["RS256", "ES256"];
+const PROVIDER_NAME_REGEX = /^[a-z0-9-]{1,32}$/;
+
+function invalidToken(message) {
+  const err = new Error(message);
+  err.name = "InvalidIdToken";
+  return err;
+}
+
+function providerUnavailable(name, reason) {
+  const err = new Error(`Sign-in provider ${name} is unavailable: ${reason}`);
+  err.name = "ProviderUnavailable";
+  return err;
+}
+
+function parseProviders(json) {
+  const providers = JSON.parse(json || "{}");
+  for (const [name, provider] of Object.entries(providers)) {
+    if (!PROVIDER_NAME_REGEX.test(name))
+      throw new Error(`Invalid OIDC provider name: ${name}`);
+    for (const field of ["issuer", "jwksUri", "audience"]) {
+      if (!provider[field])
+        throw new Error(`OIDC provider ${name} is missing ${field}`);
+    }
+  }
+  return providers;
+}
+
+// `cacheSeconds` bounds how long fetched keys are trusted, `refetchSeconds`
+// how often an unknown kid may force a new fetch, `timeoutMs` how long a
+// fetch may take
+export function createOidcVerifier(
+  env = process.env,
+  {
+    fetch = globalThis.fetch,
+    cacheSeconds = 600,
+    refetchSeconds = 30,
+    timeoutMs = 3000,
+  } = {}
+) {
+  const providers = parseProviders(env.OIDC_PROVIDERS);
+  const keySets = new Map(); // provider name -> { keys: Map(kid -> key), fetchedAt }
+
+  async function fetchKeys(name) {
+    let keys;
+    try {
+      const res = await fetch(providers[name].jwksUri, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`JWKS fetch returned ${res.status}`);
+      ({ keys = [] } = await res.json());
+    } catch (err) {
+      // Timeouts, network errors and bad responses alike
+      throw providerUnavailable(name, err.message);
+    }
+
+    const byKid = new Map();
+    for (const jwk of keys) {
+      if (!jwk.kid || (jwk.use && jwk.use !== "sig")) continue;
+      try {
+        byKid.set(jwk.kid, createPublicKey({ key: jwk, format: "jwk" }));
+      } catch (err) {
+        // Key types Node cannot load are skipped, the rest stay usable
+      }
+    }
+    const keySet = { keys: byKid, fetchedAt: Date.now() };
+    keySets.set(name, keySet);
+    return keySet;
+  }
+
+  async function signingKey(name, kid) {
+    let keySet = keySets.get(name);
+    const age = keySet ? Date.now() - keySet.fetchedAt : Infinity;
+    if (
+      age > cacheSeconds * 1000 ||
+      (!keySet.keys.has(kid) && age > refetchSeconds * 1000)
+    ) {
+      keySet = await fetchKeys(name);
+    }
+    return keySet.keys.get(kid);
+  }
+
+  return {
+    has(name) {
+      return typeof name === "string" && Object.hasOwn(providers, name);
+    },
+
+    // Returns { subject, email, emailVerified } from a valid ID token and
+    // throws InvalidIdToken otherwise, or ProviderUnavailable
+    async verify(name, idToken) {
+      const provider = providers[name];
+      const decoded = jwt.decode(String(idToken), { complete: true });
+      if (!decoded?.header?.kid) throw invalidToken("Malformed ID token");
+
+      const key = await signingKey(name, decoded.header.kid);
+      if (!key) throw invalidToken("ID token signed with an unknown key");
+
+      let claims;
+      try {
+        claims = jwt.verify(idToken, key, {
+          algorithms: provider.algorithms || DEFAULT_ALGORITHMS,
+          issuer: provider.issuer,
+          audience: provider.audience,
+        });
+      } catch (err) {
+        throw invalidToken(err.message);
+      }
+      if (!claims.sub) throw invalidToken("ID token has no subject");
+
+      return {
+        subject: String(claims.sub),
+        email: typeof claims.email === "string" ? claims.email : null,
+        // Some providers send the flag as a string
+        emailVerified:
+          claims.email_verified === true || claims.email_verified === "true",
+      };
+    },
+  };
+}
@@ -0,0 +1,136 @@
+import { createHash } from "crypto";
+import bcrypt from "bcryptjs";
+
+// Password policy and hashing. Stored hashes carry their algorithm version:
+//   1  bcrypt over the raw password, stored bare ("$2b$10$...")
+//   2  bcrypt over base64(SHA-256(NFC password)), stored as "v2:$2b$12$..."
+// Version 2 gives every Unicode spelling of a password the same hash and
+// avoids bcrypt's silent 72-byte truncation. Older versions and lower costs
+// still verify; needsRehash() tells the caller to upgrade them.
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 8);
+const PASSWORD_MAX_LENGTH = Number(process.env.PASSWORD_MAX_LENGTH || 128);
+const PASSWORD_HASH_VERSION = Number(process.env.PASSWORD_HASH_VERSION || 2);
+const PASSWORD_HASH_COST = Number(process.env.PASSWORD_HASH_COST || 12);
+
+// Most common leaked passwords, compared case-insensitively and with any
+// trailing digits or symbols removed ("Dragon2024!" counts as "dragon").
+// PASSWORD_BLOCKLIST adds comma-separated entries.
+const COMMON_PASSWORDS = [
+  "123456",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "1q2w3e4r",
+  "1qaz2wsx",
+  "abc123",
+  "access",
+  "admin",
+  "administrator",
+  "asdfgh",
+  "asdfghjkl",
+  "baseball",
+  "batman",
+  "changeme",
+  "charlie",
+  "computer",
+  "donald",
+  "dragon",
+  "football",
+  "freedom",
+  "iloveyou",
+  "letmein",
+  "login",
+  "master",
+  "michael",
+  "monkey",
+  "mustang",
+  "passw0rd",
+  "password",
+  "princess",
+  "qazwsx",
+  "qwerty",
+  "qwertyuiop",
+  "shadow",
+  "starwars",
+  "sunshine",
+  "superman",
+  "trustno1",
+  "tsunami",
+  "welcome",
+  "whatever",
+  "zaq12wsx",
+];
+const BLOCKLIST = new Set(
+  [...COMMON_PASSWORDS, ...(process.env.PASSWORD_BLOCKLIST || "").split(",")]
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const HASHERS = {
+  1: {
+    prefix: "",
+    input: (password) => password,
+  },
+  2: {
+    prefix: "v2:",
+    input: (password) =>
+      createHash("sha256").update(password.normalize("NFC")).digest("base64"),
+  },
+};
+
+if (!HASHERS[PASSWORD_HASH_VERSION]) {
+  throw new Error(`Unknown PASSWORD_HASH_VERSION: ${PASSWORD_HASH_VERSION}`);
+}
+
+// Returns a message describing why `password` may not be set, or null.
+// Only applies to new passwords; logins accept whatever was set before.
+export function checkPasswordPolicy(password) {
+  if (typeof password !== "string") return "must be a string";
+  const normalized = password.normalize("NFC");
+  // Length counts characters, not UTF-16 units or bytes
+  const length = [...normalized].length;
+  if (length < PASSWORD_MIN_LENGTH)
+    return `must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  if (length > PASSWORD_MAX_LENGTH)
+    return `must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  if (/\p{Cc}/u.test(normalized)) return "must not contain control characters";
+
+  const lower = normalized.toLowerCase();
+  const stem = lower.replace(/[\p{N}\p{P}\p{S}\s]+$/u, "");
+  if (BLOCKLIST.has(lower) || BLOCKLIST.has(stem))
+    return "is too common, choose another";
+  return null;
+}
+
+function parseStored(stored) {
+  if (typeof stored !== "string") return null;
+  const match = /^v(\d+):(.*)$/s.exec(stored);
+  const version = match ? Number(match[1]) : 1;
+  const hash = match ? match[2] : stored;
+  return HASHERS[version] ? { version, hash } : null;
+}
+
+export async function hashPassword(
+  password,
+  { version = PASSWORD_HASH_VERSION, cost = PASSWORD_HASH_COST } = {}
+) {
+  const hasher = HASHERS[version];
+  return hasher.prefix + (await bcrypt.hash(hasher.input(password), cost));
+}
+
+export async function verifyPassword(password, stored) {
+  const parsed = parseStored(stored);
+  if (!parsed || typeof password !== "string") return false;
+  return bcrypt.compare(HASHERS[parsed.version].input(password), parsed.hash);
+}
+
+// True when `stored` uses an older version or a lower cost than configured
+export function needsRehash(
+  stored,
+  { version = PASSWORD_HASH_VERSION, cost = PASSWORD_HASH_COST } = {}
+) {
+  const parsed = parseStored(stored);
+  if (!parsed) return false;
+  return parsed.version < version || bcrypt.getRounds(parsed.hash) < cost;
+}
@@ -0,0 +1,251 @@
+import { createHash, randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} from "@aws-sdk/client-s3";
+
+// Every backend exposes the same object-store shape:
+//   get(key)                         -> { body, etag }   (throws NoSuchKey)
+//   put(key, body, { ifMatch, ifNoneMatch, contentType }) -> { etag }
+//   list(prefix, { continuationToken, startAfter, maxKeys })
+//                                    -> { keys, nextToken }
+//   delete(keys)                     -> void
+// A put with ifMatch/ifNoneMatch is the conditional write: it throws
+// PreconditionFailed when the stored object does not match.
+// Error names mirror the S3 SDK so callers can keep checking err.name.
+
+const DEFAULT_BUCKET = "click.accountdata";
+const DEFAULT_REGION = "us-east-1";
+const DEFAULT_DIR = "./data";
+const MAX_LIST_KEYS = 1000;
+
+function storageError(name, message) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+// --- S3 backend ---
+export function createS3Storage({ bucket, region, client } = {}) {
+  const s3 = client || new S3Client({ region });
+
+  return {
+    async get(key) {
+      const res = await s3.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return { body: await res.Body.transformToString(), etag: res.ETag };
+    },
+
+    async put(
+      key,
+      body,
+      { contentType = "application/json", ifMatch, ifNoneMatch } = {}
+    ) {
+      try {
+        const res = await s3.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            IfMatch: ifMatch,
+            IfNoneMatch: ifNoneMatch,
+          })
+        );
+        return { etag: res.ETag };
+      } catch (err) {
+        // S3 answers 409 instead of 412 when two conditional writes race
+        if (err.name === "ConditionalRequestConflict") {
+          throw storageError("PreconditionFailed", err.message);
+        }
+        throw err;
+      }
+    },
+
+    async list(prefix, { continuationToken, startAfter, maxKeys } = {}) {
+      const res = await s3.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+          StartAfter: startAfter,
+          MaxKeys: maxKeys,
+        })
+      );
+      return {
+        keys: (res.Contents || []).map((obj) => obj.Key),
+        nextToken: res.IsTruncated ? res.NextContinuationToken : undefined,
+      };
+    },
+
+    async delete(keys) {
+      for (let i = 0; i < keys.length; i += MAX_LIST_KEYS) {
+        const batch = keys.slice(i, i + MAX_LIST_KEYS);
+        await s3.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: batch.map((Key) => ({ Key })) },
+          })
+        );
+      }
+    },
+  };
+}
+
+// --- Local filesystem backend ---
+// Keys map to files under `root`, so `users/<id>/account.json` lands at
+// `<root>/users/<id>/account.json`. Meant for local runs and tests.
+export function createFsStorage({ root = DEFAULT_DIR } = {}) {
+  const base = path.resolve(root);
+
+  const toPath = (key) => {
+    const parts = key.split("/");
+    if (parts.some((p) => p === "" || p === "." || p === "..")) {
+      throw storageError("InvalidKey", `Invalid key: ${key}`);
+    }
+    return path.join(base, ...parts);
+  };
+  const etagOf = (body) => `"${createHash("md5").update(body).digest("hex")}"`;
+
+  // Writes to the same file run one at a time so the ifMatch compare and the
+  // write cannot interleave with another put in this process
+  const locks = new Map();
+  async function withLock(file, fn) {
+    const previous = locks.get(file) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+    locks.set(file, settled);
+    try {
+      return await current;
+    } finally {
+      if (locks.get(file) === settled) locks.delete(file);
+    }
+  }
+
+  async function readOrNull(file) {
+    try {
+      return await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") return [];
+      throw err;
+    }
+    const files = [];
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) files.push(...(await walk(full)));
+      else if (!entry.name.endsWith(".tmp")) files.push(full);
+    }
+    return files;
+  }
+
+  async function writeObject(file, key, body, ifMatch, ifNoneMatch) {
+    if (ifNoneMatch === "*") {
+      try {
+        await fs.writeFile(file, body, { flag: "wx" });
+      } catch (err) {
+        if (err.code === "EEXIST") {
+          throw storageError("PreconditionFailed", `Key exists: ${key}`);
+        }
+        throw err;
+      }
+      return { etag: etagOf(body) };
+    }
+
+    if (ifMatch !== undefined) {
+      const current = await readOrNull(file);
+      if (current === null) {
+        throw storageError("NoSuchKey", "The specified key does not exist.");
+      }
+      if (etagOf(current) !== ifMatch) {
+        throw storageError("PreconditionFailed", `ETag mismatch: ${key}`);
+      }
+    }
+
+    // Write to a temp file and rename so readers never see a partial file
+    const tmp = `${file}.${randomUUID()}.tmp`;
+    await fs.writeFile(tmp, body);
+    await fs.rename(tmp, file);
+    return { etag: etagOf(body) };
+  }
+
+  return {
+    async get(key) {
+      const body = await readOrNull(toPath(key));
+      if (body === null) {
+        throw storageError("NoSuchKey", "The specified key does not exist.");
+      }
+      return { body, etag: etagOf(body) };
+    },
+
+    async put(key, body, { ifMatch, ifNoneMatch } = {}) {
+      const file = toPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      return withLock(file, () =>
+        writeObject(file, key, body, ifMatch, ifNoneMatch)
+      );
+    },
+
+    async list(prefix, { continuationToken, startAfter, maxKeys } = {}) {
+      const dir = prefix.includes("/")
+        ? toPath(prefix.slice(0, prefix.lastIndexOf("/")))
+        : base;
+      const after = continuationToken || startAfter || "";
+      const limit = Math.min(maxKeys || MAX_LIST_KEYS, MAX_LIST_KEYS);
+
+      const keys = (await walk(dir))
+        .map((file) => path.relative(base, file).split(path.sep).join("/"))
+        .filter((key) => key.startsWith(prefix) && key > after)
+        .sort();
+
+      const page = keys.slice(0, limit);
+      return {
+        keys: page,
+        nextToken: keys.length > limit ? page[page.length - 1] : undefined,
+      };
+    },
+
+    async delete(keys) {
+      for (const key of keys) {
+        try {
+          await fs.unlink(toPath(key));
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+    },
+  };
+}
+
+// --- Backend selection ---
+// STORAGE_BACKEND=s3 (default) uses S3_BUCKET / S3_REGION,
+// STORAGE_BACKEND=fs stores everything under STORAGE_DIR.
+export function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "s3").toLowerCase();
+
+  if (backend === "s3") {
+    return createS3Storage({
+      bucket: env.S3_BUCKET || DEFAULT_BUCKET,
+      region: env.S3_REGION || env.AWS_REGION || DEFAULT_REGION,
+    });
+  }
+  if (backend === "fs") {
+    return createFsStorage({ root: env.STORAGE_DIR || DEFAULT_DIR });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
@@ -0,0 +1,558 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import {
+  handler,
+  resetStores,
+  call,
+  accountFields,
+  createUser,
+  verificationCode,
+  lastEmail,
+  signingKey,
+  PASSWORD,
+} from "./helpers.mjs";
+
+let stores;
+beforeEach(() => {
+  stores = resetStores();
+});
+
+// --- create-account ---
+test("create-account stores the account, indexes and default config", async () => {
+  const res = await call("/create-account", accountFields("alice"));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "SUCCESS_CREATE_ACCOUNT");
+
+  const { userId } = res.body;
+  const { s3 } = stores;
+  assert.equal(s3.read("users/by-username/alice.json").userId, userId);
+  assert.equal(s3.read("users/by-email/alice@example.com.json").userId, userId);
+  assert.equal(s3.read(`users/${userId}/config.json`).theme, "light");
+  assert.ok(lastEmail(stores.outbox, "alice@example.com"));
+});
+
+test("create-account rejects missing, invalid and underage input", async () => {
+  const missing = await call("/create-account", { username: "alice" });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body.status, "ERR_MISSING_FIELDS");
+
+  const invalid = await call(
+    "/create-account",
+    accountFields("alice", { email: "alice<>@example.com" })
+  );
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.status, "ERR_INVALID_FIELDS");
+
+  const young = await call(
+    "/create-account",
+    accountFields("alice", { birthday: new Date().toISOString().slice(0, 10) })
+  );
+  assert.equal(young.statusCode, 400);
+  assert.equal(young.body.status, "ERR_TOO_YOUNG");
+});
+
+test("create-account rejects a taken username or email", async () => {
+  await call("/create-account", accountFields("alice"));
+
+  const name = await call(
+    "/create-account",
+    accountFields("ALICE", { email: "other@example.com" })
+  );
+  assert.equal(name.statusCode, 409);
+  assert.equal(name.body.duplicateField, "username");
+
+  const email = await call(
+    "/create-account",
+    accountFields("bob", { email: "alice@example.com" })
+  );
+  assert.equal(email.statusCode, 409);
+  assert.equal(email.body.duplicateField, "email");
+  // The username reserved before the email clash is released again
+  assert.equal(stores.s3.read("users/by-username/bob.json"), undefined);
+});
+
+test("concurrent duplicate signups create exactly one account", async () => {
+  const results = await Promise.all(
+    [1, 2, 3, 4, 5].map((i) =>
+      call(
+        "/create-account",
+        accountFields("alice", { email: `alice${i}@example.com` })
+      )
+    )
+  );
+  const codes = results.map((r) => r.statusCode).sort();
+  assert.deepEqual(codes, [200, 409, 409, 409, 409]);
+  assert.equal(stores.s3.keys("users/by-email/").length, 1);
+});
+
+test("create-account rolls back when a write fails", async () => {
+  stores.s3.failNext(
+    (name, input) =>
+      name === "PutObjectCommand" && input.Key.endsWith("/config.json"),
+    new Error("boom")
+  );
+  const res = await call("/create-account", accountFields("alice"));
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.status, "ERR_S3_UPLOAD");
+  assert.deepEqual(stores.s3.keys(), []);
+});
+
+test("create-account applies the password policy", async () => {
+  for (const password of [
+    "short1",
+    "Password123!",
+    "qwerty2024",
+    "a\u0007bcdefgh",
+  ]) {
+    const res = await call(
+      "/create-account",
+      accountFields("alice", { password })
+    );
+    assert.equal(res.statusCode, 400, password);
+    assert.equal(res.body.status, "ERR_WEAK_PASSWORD");
+  }
+
+  const unicode = "cañón—tsunami 🌊";
+  const res = await call(
+    "/create-account",
+    accountFields("alice", { password: unicode })
+  );
+  assert.equal(res.statusCode, 200);
+  assert.match(
+    stores.s3.read(`users/${res.body.userId}/account.json`).password,
+    /^v2:\$2[ab]\$04\$/
+  );
+
+  // The decomposed spelling of the same password logs in too
+  await call("/verify-email", {
+    code: verificationCode(stores.outbox, "alice@example.com"),
+  });
+  const login = await call("/login", {
+    username: "alice",
+    password: unicode.normalize("NFD"),
+  });
+  assert.equal(login.statusCode, 200);
+});
+
+// --- login ---
+test("login upgrades a legacy password hash", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const key = `users/${user.userId}/account.json`;
+  const legacy = await bcrypt.hash(PASSWORD, 4);
+  stores.s3.write(key, { ...stores.s3.read(key), password: legacy });
+
+  const res = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(res.statusCode, 200);
+  const upgraded = stores.s3.read(key).password;
+  assert.match(upgraded, /^v2:/);
+
+  const again = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(again.statusCode, 200);
+  assert.equal(stores.s3.read(key).password, upgraded);
+
+  const wrong = await call("/login", { username: "alice", password: "nope" });
+  assert.equal(wrong.statusCode, 401);
+});
+
+test("login returns tokens, config and account details", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call("/login", { username: "Alice", password: PASSWORD });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "SUCCESS_LOGIN");
+  assert.ok(res.body.token && res.body.refreshToken);
+  assert.equal(res.body.config.theme, "light");
+  assert.ok(res.body.configVersion);
+  assert.equal(res.body.accountDetails.email, user.email);
+  assert.equal(res.body.accountDetails.emailVerified, true);
+});
+
+test("login rejects bad input and bad credentials", async () => {
+  await createUser(stores.outbox, "alice");
+
+  assert.equal((await call("/login", {})).statusCode, 400);
+  const invalid = await call("/login", { username: "a l", password: "x" });
+  assert.equal(invalid.body.status, "ERR_INVALID_FIELDS");
+
+  const wrong = await call("/login", { username: "alice", password: "nope" });
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.status, "ERR_INVALID_CREDENTIALS");
+
+  const unknown = await call("/login", { username: "bob", password: "nope" });
+  assert.equal(unknown.statusCode, 401);
+});
+
+test("repeated login failures lock the username", async () => {
+  await createUser(stores.outbox, "alice");
+  for (let i = 0; i < 2; i++) {
+    const res = await call("/login", { username: "alice", password: "nope" });
+    assert.equal(res.statusCode, 401);
+  }
+  const locked = await call("/login", { username: "alice", password: "nope" });
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.status, "ERR_ACCOUNT_LOCKED");
+  assert.ok(locked.body.retryAfter > 0);
+
+  const right = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(right.statusCode, 429);
+});
+
+test("the scheduled purge drops login counters that ran out", async () => {
+  const { s3 } = stores;
+  await call("/login", { username: "made-up", password: "nope" });
+  await call("/login", { username: "recent", password: "nope" });
+  const madeUp = "login-attempts/username/made-up.json";
+  const recent = "login-attempts/username/recent.json";
+  assert.ok(s3.objects.has(madeUp));
+  s3.write(madeUp, { failures: 1, lastFailureAt: "2020-01-01T00:00:00.000Z" });
+
+  const res = await handler({ source: "aws.events" });
+  assert.equal(JSON.parse(res.body).loginAttemptsRemoved, 1);
+  assert.equal(s3.objects.has(madeUp), false);
+  assert.ok(s3.objects.has(recent));
+});
+
+test("password re-checks count toward the login lockout", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const as = { token: user.token };
+  const wrong = await call("/delete-account", { password: "nope" }, as);
+  assert.equal(wrong.statusCode, 401);
+  await call(
+    "/change-password",
+    { currentPassword: "nope", newPassword: "kelp-forest-7" },
+    as
+  );
+  const locked = await call("/delete-account", { password: "nope" }, as);
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.status, "ERR_ACCOUNT_LOCKED");
+
+  const right = await call("/delete-account", { password: PASSWORD }, as);
+  assert.equal(right.statusCode, 429);
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.statusCode, 429);
+});
+
+// --- get-account / update-account ---
+test("get-account hides the password hash", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call("/get-account", {}, { token: user.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.account.username, "alice");
+  assert.equal(res.body.account.password, undefined);
+  assert.equal(res.body.account.twoFactorEnabled, false);
+});
+
+test("update-account renames and holds the old name", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call(
+    "/update-account",
+    { password: PASSWORD, username: "alicia", birthday: "1999-02-03" },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.accountDetails.username, "alicia");
+  assert.ok(res.body.token);
+
+  const held = stores.s3.read("users/by-username/alice.json");
+  assert.equal(held.released, true);
+  const old = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(old.statusCode, 401);
+  const renamed = await call("/login", {
+    username: "alicia",
+    password: PASSWORD,
+  });
+  assert.equal(renamed.statusCode, 200);
+
+  const taken = await call("/create-account", accountFields("alice"));
+  assert.equal(taken.statusCode, 409);
+});
+
+test("update-account email change needs verification again", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call(
+    "/update-account",
+    { password: PASSWORD, email: "new@example.com" },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.accountDetails.emailVerified, false);
+  assert.ok(lastEmail(stores.outbox, "new@example.com"));
+  assert.match(
+    lastEmail(stores.outbox, "alice@example.com").subject,
+    /changed/
+  );
+
+  const verified = await call("/verify-email", {
+    code: verificationCode(stores.outbox, "new@example.com"),
+  });
+  assert.equal(verified.statusCode, 200);
+});
+
+test("update-account rejects bad passwords, fields and taken names", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  await createUser(stores.outbox, "bob");
+  const { token } = user;
+
+  const missing = await call(
+    "/update-account",
+    { password: PASSWORD },
+    { token }
+  );
+  assert.equal(missing.statusCode, 400);
+  const invalid = await call(
+    "/update-account",
+    { password: PASSWORD, username: "a b" },
+    { token }
+  );
+  assert.equal(invalid.body.status, "ERR_INVALID_FIELDS");
+  const wrong = await call(
+    "/update-account",
+    { password: "nope", username: "carol" },
+    { token }
+  );
+  assert.equal(wrong.statusCode, 401);
+  const taken = await call(
+    "/update-account",
+    { password: PASSWORD, username: "BOB" },
+    { token }
+  );
+  assert.equal(taken.statusCode, 409);
+  assert.equal(taken.body.duplicateField, "username");
+});
+
+test("update-account password guesses hit the login lockout", async () => {
+  const { token } = await createUser(stores.outbox, "alice");
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const res = await call(
+      "/update-account",
+      { password: "nope", username: "carol" },
+      { token }
+    );
+    statuses.push(res.statusCode);
+  }
+  assert.deepEqual(statuses, [401, 401, 429]);
+
+  const right = await call(
+    "/update-account",
+    { password: PASSWORD, username: "carol" },
+    { token }
+  );
+  assert.equal(right.body.status, "ERR_ACCOUNT_LOCKED");
+});
+
+// --- verify-email / resend-verification ---
+test("verify-email accepts the emailed code once", async () => {
+  const fields = accountFields("alice");
+  await call("/create-account", fields);
+  const code = verificationCode(stores.outbox, fields.email);
+
+  const res = await call("/verify-email", { code });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, "✅ Email verified");
+  const again = await call("/verify-email", { code });
+  assert.equal(again.body.message, "✅ Email already verified");
+
+  assert.equal((await call("/verify-email", {})).statusCode, 400);
+  const bad = await call("/verify-email", { code: "garbage" });
+  assert.equal(bad.body.status, "ERR_INVALID_VERIFICATION_CODE");
+});
+
+test("only one account verifies an address claimed twice", async () => {
+  const { s3 } = stores;
+  const emailKey = "users/by-email/alice@example.com.json";
+  await call("/create-account", accountFields("alice"));
+  const aliceCode = verificationCode(stores.outbox, "alice@example.com");
+  // Both accounts hold a code for the address once the index entry is gone
+  s3.objects.delete(emailKey);
+  await call(
+    "/create-account",
+    accountFields("bob", { email: "alice@example.com" })
+  );
+  const bobCode = verificationCode(stores.outbox, "alice@example.com");
+  s3.objects.delete(emailKey);
+
+  const results = await Promise.all([
+    call("/verify-email", { code: aliceCode }),
+    call("/verify-email", { code: bobCode }),
+  ]);
+  assert.deepEqual(results.map((r) => r.statusCode).sort(), [200, 409]);
+  const loser = results.find((r) => r.statusCode === 409);
+  assert.equal(loser.body.status, "ERR_EMAIL_CLAIM_EXPIRED");
+
+  // The index names the one account that ended up verified
+  const { userId } = s3.read(emailKey);
+  const verified = s3
+    .keys("users/")
+    .filter((key) => key.endsWith("/account.json"))
+    .filter((key) => s3.read(key).emailVerified);
+  assert.deepEqual(verified, [`users/${userId}/account.json`]);
+});
+
+test("resend-verification is capped per day", async () => {
+  const fields = accountFields("alice");
+  await call("/create-account", fields);
+  const { token } = (
+    await call("/login", { username: "alice", password: PASSWORD })
+  ).body;
+
+  const first = await call("/resend-verification", {}, { token });
+  assert.equal(first.statusCode, 200);
+  const capped = await call("/resend-verification", {}, { token });
+  assert.equal(capped.statusCode, 429);
+  assert.equal(capped.body.status, "ERR_RATE_LIMITED");
+});
+
+test("resend-verification refuses verified accounts", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call("/resend-verification", {}, { token: user.token });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.status, "ERR_EMAIL_ALREADY_VERIFIED");
+});
+
+// --- delete-account / restore-account ---
+test("delete-account schedules deletion and restore-account undoes it", async () => {
+  const user = await createUser(stores.outbox, "alice");
+
+  const wrong = await call(
+    "/delete-account",
+    { password: "nope" },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 401);
+
+  const res = await call(
+    "/delete-account",
+    { password: PASSWORD },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.purgeAfter);
+  assert.ok(stores.s3.read(`deletions/${user.userId}.json`));
+
+  const revoked = await call("/get-account", {}, { token: user.token });
+  assert.equal(revoked.statusCode, 401);
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.statusCode, 403);
+  assert.equal(login.body.status, "ERR_ACCOUNT_PENDING_DELETION");
+
+  const restored = await call("/restore-account", {
+    username: "alice",
+    password: PASSWORD,
+  });
+  assert.equal(restored.statusCode, 200);
+  const again = await call("/restore-account", {
+    username: "alice",
+    password: PASSWORD,
+  });
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.status, "ERR_ACCOUNT_NOT_DELETED");
+});
+
+test("accounts past the grace period are purged", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  await call("/delete-account", { password: PASSWORD }, { token: user.token });
+  const marker = `deletions/${user.userId}.json`;
+  stores.s3.write(marker, {
+    ...stores.s3.read(marker),
+    purgeAfter: new Date(Date.now() - 1000).toISOString(),
+  });
+  const accountKey = `users/${user.userId}/account.json`;
+  stores.s3.write(accountKey, {
+    ...stores.s3.read(accountKey),
+    purgeAfter: new Date(Date.now() - 1000).toISOString(),
+  });
+
+  const res = await handler({ source: "aws.events" });
+  assert.equal(JSON.parse(res.body).purged, 1);
+  assert.deepEqual(stores.s3.keys(`users/${user.userId}/`), []);
+  assert.equal(stores.s3.read("users/by-username/alice.json"), undefined);
+});
+
+// --- export-account / download-export ---
+test("export-account returns stored data without secrets", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const wrong = await call(
+    "/export-account",
+    { password: "nope" },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 401);
+
+  const res = await call(
+    "/export-account",
+    { password: PASSWORD },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  const { objects } = res.body.export;
+  const account = objects[`users/${user.userId}/account.json`];
+  assert.equal(account.username, "alice");
+  assert.equal(account.password, "[withheld]");
+  assert.ok(objects["users/by-username/alice.json"]);
+  assert.ok(!JSON.stringify(objects).includes("$2"));
+});
+
+test("export-account password guesses hit the login lockout", async () => {
+  const { token } = await createUser(stores.outbox, "alice");
+  for (let i = 0; i < 2; i++)
+    await call("/export-account", { password: "nope" }, { token });
+  const locked = await call("/export-account", { password: "nope" }, { token });
+  assert.equal(locked.statusCode, 429);
+
+  const right = await call(
+    "/export-account",
+    { password: PASSWORD },
+    { token }
+  );
+  assert.equal(right.statusCode, 429);
+  assert.equal(right.body.export, undefined);
+});
+
+test("export-account links download once signed and expire", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call(
+    "/export-account",
+    { password: PASSWORD, delivery: "link" },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.match(
+    res.body.downloadUrl,
+    /^https:\/\/api\.example\.com\/download-export\?token=/
+  );
+
+  const download = await handler(v2Download(res.body.downloadToken));
+  assert.equal(download.statusCode, 200);
+  assert.match(download.headers["Content-Disposition"], /attachment/);
+  assert.equal(JSON.parse(download.body).userId, user.userId);
+
+  const bad = await handler(v2Download("forged"));
+  assert.equal(bad.statusCode, 404);
+
+  // A token past its expiry no longer downloads
+  const { iat, exp, ...claims } = jwt.decode(res.body.downloadToken);
+  const expired = jwt.sign(claims, signingKey.privateKey, {
+    algorithm: "ES256",
+    keyid: "test-key",
+    expiresIn: -10,
+  });
+  assert.equal((await handler(v2Download(expired))).statusCode, 404);
+
+  // The scheduled purge drops stored exports whose link has expired
+  const { s3 } = stores;
+  const [live] = s3.keys("exports/");
+  const stale = `exports/${user.userId}/${Date.now() - 1000}-0000.json`;
+  s3.write(stale, s3.read(live));
+  await handler({ source: "aws.events" });
+  assert.deepEqual(s3.keys("exports/"), [live]);
+});
+
+function v2Download(token) {
+  return {
+    rawPath: "/download-export",
+    queryStringParameters: { token },
+    requestContext: { http: { method: "GET" } },
+  };
+}
@@ -0,0 +1,270 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resetStores, call, createUser, PASSWORD } from "./helpers.mjs";
+
+let stores;
+let admin;
+let player;
+beforeEach(async () => {
+  stores = resetStores();
+  admin = await createUser(stores.outbox, "ops");
+  player = await createUser(stores.outbox, "alice");
+
+  // Roles are granted by editing account.json directly
+  const key = `users/${admin.userId}/account.json`;
+  stores.s3.write(key, { ...stores.s3.read(key), roles: ["admin"] });
+});
+
+const auditActions = () =>
+  stores.s3.keys("audit/").map((key) => stores.s3.read(key).action);
+
+test("admin routes refuse players", async () => {
+  for (const route of [
+    "/admin/find-user",
+    "/admin/disable-account",
+    "/admin/force-logout",
+    "/admin/reset-2fa",
+    "/admin/rebuild-indexes",
+    "/admin/purge-deleted-accounts",
+  ]) {
+    const res = await call(
+      route,
+      { userId: admin.userId },
+      { token: player.token }
+    );
+    assert.equal(res.statusCode, 403, route);
+    assert.equal(res.body.status, "ERR_FORBIDDEN");
+  }
+  assert.equal((await call("/admin/find-user", {})).statusCode, 401);
+  assert.equal((await call("/rebuild-indexes", {})).statusCode, 404);
+  assert.deepEqual(auditActions(), []);
+});
+
+test("find-user looks up by username or email", async () => {
+  const byName = await call(
+    "/admin/find-user",
+    { username: "ALICE" },
+    { token: admin.token }
+  );
+  assert.equal(byName.statusCode, 200);
+  assert.equal(byName.body.account.userId, player.userId);
+  assert.equal(byName.body.account.password, undefined);
+  assert.equal(byName.body.sessions, 1);
+
+  const byEmail = await call(
+    "/admin/find-user",
+    { email: "alice@example.com" },
+    { token: admin.token }
+  );
+  assert.equal(byEmail.body.account.username, "alice");
+
+  const missing = await call(
+    "/admin/find-user",
+    { username: "nobody" },
+    { token: admin.token }
+  );
+  assert.equal(missing.statusCode, 404);
+  assert.equal(
+    (await call("/admin/find-user", {}, { token: admin.token })).statusCode,
+    400
+  );
+  assert.deepEqual(auditActions(), ["find-user", "find-user", "find-user"]);
+});
+
+test("disable-account blocks login until enabled", async () => {
+  const self = await call(
+    "/admin/disable-account",
+    { userId: admin.userId },
+    { token: admin.token }
+  );
+  assert.equal(self.statusCode, 409);
+
+  const res = await call(
+    "/admin/disable-account",
+    { userId: player.userId, reason: "cheating" },
+    { token: admin.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.revoked, 1);
+  assert.equal(
+    (await call("/get-account", {}, { token: player.token })).statusCode,
+    401
+  );
+  const refresh = await call("/refresh", { refreshToken: player.refreshToken });
+  assert.equal(refresh.statusCode, 401);
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.statusCode, 403);
+  assert.equal(login.body.status, "ERR_ACCOUNT_DISABLED");
+
+  const enabled = await call(
+    "/admin/enable-account",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(enabled.statusCode, 200);
+  const again = await call(
+    "/admin/enable-account",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(again.statusCode, 409);
+  const relogin = await call("/login", {
+    username: "alice",
+    password: PASSWORD,
+  });
+  assert.equal(relogin.statusCode, 200);
+
+  const audit = stores.s3.keys("audit/").map((k) => stores.s3.read(k));
+  const disabled = audit.find((a) => a.action === "disable-account");
+  assert.equal(disabled.actorId, admin.userId);
+  assert.equal(disabled.targetUserId, player.userId);
+  assert.equal(disabled.reason, "cheating");
+});
+
+test("disable-account does not recreate an account deleted meanwhile", async () => {
+  const key = `users/${player.userId}/account.json`;
+  // Runs the change once, just before the admin route writes the account
+  const meanwhile = (change) => {
+    let done = false;
+    stores.s3.failNext((name, input) => {
+      if (done || name !== "PutObjectCommand" || input.Key !== key)
+        return false;
+      done = true;
+      change();
+      return false;
+    });
+  };
+
+  meanwhile(() => stores.s3.write(key, { ...stores.s3.read(key), bio: "x" }));
+  const changed = await call(
+    "/admin/disable-account",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(changed.statusCode, 409);
+  assert.equal(changed.body.status, "ERR_ACCOUNT_CHANGED");
+  assert.equal(stores.s3.read(key).disabledAt, undefined);
+
+  meanwhile(() => stores.s3.objects.delete(key));
+  const deleted = await call(
+    "/admin/disable-account",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(deleted.statusCode, 404);
+  assert.equal(stores.s3.objects.has(key), false);
+  assert.deepEqual(auditActions(), []);
+});
+
+test("force-logout ends every session of the user", async () => {
+  const res = await call(
+    "/admin/force-logout",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(
+    (await call("/get-account", {}, { token: player.token })).statusCode,
+    401
+  );
+
+  const unknown = await call(
+    "/admin/force-logout",
+    { userId: "nobody" },
+    { token: admin.token }
+  );
+  assert.equal(unknown.statusCode, 404);
+});
+
+test("reset-2fa turns 2FA off for a locked-out player", async () => {
+  const key = `users/${player.userId}/account.json`;
+  stores.s3.write(key, {
+    ...stores.s3.read(key),
+    twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP", recoveryCodes: [] },
+  });
+  const challenged = await call("/login", {
+    username: "alice",
+    password: PASSWORD,
+  });
+  assert.equal(challenged.body.status, "SUCCESS_2FA_REQUIRED");
+
+  const res = await call(
+    "/admin/reset-2fa",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.revoked, 1);
+  assert.equal(stores.s3.read(key).twoFactor, undefined);
+  assert.deepEqual(auditActions(), ["reset-2fa"]);
+
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.body.status, "SUCCESS_LOGIN");
+  const again = await call(
+    "/admin/reset-2fa",
+    { userId: player.userId },
+    { token: admin.token }
+  );
+  assert.equal(again.statusCode, 409);
+});
+
+test("rebuild-indexes reconciles in place and dry-runs", async () => {
+  const { s3 } = stores;
+  s3.objects.delete("users/by-username/alice.json");
+  s3.write("users/by-username/ghost.json", { userId: "gone" });
+
+  const dry = await call(
+    "/admin/rebuild-indexes",
+    { dryRun: true },
+    { token: admin.token }
+  );
+  assert.equal(dry.statusCode, 200);
+  assert.equal(dry.body.checkpoint, null);
+  assert.deepEqual(dry.body.changes.map((c) => [c.action, c.key]).sort(), [
+    ["add", "users/by-username/alice.json"],
+    ["remove", "users/by-username/ghost.json"],
+  ]);
+  assert.equal(s3.read("users/by-username/alice.json"), undefined);
+
+  const res = await call("/admin/rebuild-indexes", {}, { token: admin.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(s3.read("users/by-username/alice.json").userId, player.userId);
+  assert.equal(s3.read("users/by-username/ghost.json"), undefined);
+  assert.equal(s3.read("users/by-username/ops.json").userId, admin.userId);
+
+  const bad = await call(
+    "/admin/rebuild-indexes",
+    { checkpoint: "nonsense" },
+    { token: admin.token }
+  );
+  assert.equal(bad.statusCode, 400);
+});
+
+test("rebuild-indexes reports two accounts claiming one email", async () => {
+  const key = `users/${player.userId}/account.json`;
+  stores.s3.write(key, { ...stores.s3.read(key), email: "ops@example.com" });
+
+  const res = await call("/admin/rebuild-indexes", {}, { token: admin.token });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.conflicts, [
+    {
+      key: "users/by-email/ops@example.com.json",
+      userIds: [admin.userId, player.userId],
+    },
+  ]);
+  assert.equal(
+    stores.s3.read("users/by-email/ops@example.com.json").userId,
+    admin.userId
+  );
+});
+
+test("purge-deleted-accounts runs on demand", async () => {
+  const res = await call(
+    "/admin/purge-deleted-accounts",
+    {},
+    { token: admin.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.purged, 0);
+  assert.deepEqual(auditActions(), ["purge-deleted-accounts"]);
+});
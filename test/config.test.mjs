@@ -0,0 +1,413 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { resetStores, call, createUser } from "./helpers.mjs";
+
+// Imported once helpers.mjs has set GAME_SCHEMAS
+const { loadGameSchemas } = await import("../config-schema.mjs");
+
+// Declared through GAME_SCHEMAS in helpers.mjs
+const game = "reef-racer";
+
+let stores;
+let token;
+beforeEach(async () => {
+  stores = resetStores();
+  ({ token } = await createUser(stores.outbox, "alice"));
+});
+
+// --- get-config / save-config ---
+test("get-config returns the normalized config and its version", async () => {
+  const res = await call("/get-config", undefined, { method: "GET", token });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.config, {
+    theme: "light",
+    notifications: true,
+    audio: { volume: 80, music: 80, effects: 80, muted: false },
+  });
+  assert.ok(res.body.version);
+  assert.equal((await call("/get-config", {})).statusCode, 401);
+});
+
+test("save-config replaces the config", async () => {
+  const res = await call(
+    "/save-config",
+    { config: { theme: "dark" } },
+    { token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.config.theme, "dark");
+  assert.equal(res.body.config.audio.volume, 80);
+
+  assert.equal((await call("/save-config", {}, { token })).statusCode, 400);
+});
+
+test("save-config rejects invalid and oversized configs", async () => {
+  const invalid = await call(
+    "/save-config",
+    { config: { theme: "neon", audio: { volume: 200 } } },
+    { token }
+  );
+  assert.equal(invalid.statusCode, 400);
+  assert.equal(invalid.body.status, "ERR_INVALID_CONFIG");
+  assert.deepEqual(invalid.body.errors.map((e) => e.field).sort(), [
+    "audio.volume",
+    "theme",
+  ]);
+
+  const huge = await call(
+    "/save-config",
+    { config: { theme: "x".repeat(10000) } },
+    { token }
+  );
+  assert.equal(huge.statusCode, 413);
+  assert.equal(huge.body.status, "ERR_CONFIG_TOO_LARGE");
+});
+
+test("save-config with a stale version conflicts", async () => {
+  const { version } = (await call("/get-config", {}, { token })).body;
+  const first = await call(
+    "/save-config",
+    { config: { theme: "dark" }, expectedVersion: version },
+    { token }
+  );
+  assert.equal(first.statusCode, 200);
+
+  const stale = await call(
+    "/save-config",
+    { config: { theme: "light" }, expectedVersion: version },
+    { token }
+  );
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.status, "ERR_VERSION_CONFLICT");
+  assert.equal(stale.body.config.theme, "dark");
+  assert.equal(stale.body.version, first.body.version);
+});
+
+test("save-config merge keeps untouched settings", async () => {
+  await call("/save-config", { config: { theme: "dark" } }, { token });
+  const res = await call(
+    "/save-config",
+    { config: { audio: { muted: true } }, merge: true },
+    { token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.config.theme, "dark");
+  assert.equal(res.body.config.audio.muted, true);
+});
+
+// --- update-setting ---
+test("update-setting sets typed, dotted and batched keys", async () => {
+  const one = await call(
+    "/update-setting",
+    { key: "audio.volume", value: 10 },
+    { token }
+  );
+  assert.equal(one.statusCode, 200);
+  assert.equal(one.body.config.audio.volume, 10);
+
+  const batch = await call(
+    "/update-setting",
+    { settings: { theme: "dark", notifications: false } },
+    { token }
+  );
+  assert.equal(batch.body.config.theme, "dark");
+  assert.equal(batch.body.config.notifications, false);
+
+  const removed = await call(
+    "/update-setting",
+    { remove: ["audio.volume"] },
+    { token }
+  );
+  assert.equal(removed.body.config.audio.volume, 80);
+});
+
+test("update-setting rejects unknown keys and wrong types", async () => {
+  assert.equal((await call("/update-setting", {}, { token })).statusCode, 400);
+  const unknown = await call(
+    "/update-setting",
+    { key: "nope", value: 1 },
+    { token }
+  );
+  assert.equal(unknown.statusCode, 400);
+  const wrongType = await call(
+    "/update-setting",
+    { key: "audio.volume", value: "loud" },
+    { token }
+  );
+  assert.equal(wrongType.statusCode, 400);
+  assert.equal(wrongType.body.status, "ERR_INVALID_CONFIG");
+});
+
+test("concurrent update-setting calls all land", async () => {
+  const keys = ["audio.volume", "audio.music", "audio.effects"];
+  const results = await Promise.all(
+    keys.map((key, i) =>
+      call("/update-setting", { key, value: i + 1 }, { token })
+    )
+  );
+  assert.ok(results.every((r) => r.statusCode === 200));
+  const { config } = (await call("/get-config", {}, { token })).body;
+  assert.deepEqual(
+    [config.audio.volume, config.audio.music, config.audio.effects],
+    [1, 2, 3]
+  );
+});
+
+// --- config history ---
+test("config history lists, fetches and restores revisions", async () => {
+  await call("/save-config", { config: { theme: "dark" } }, { token });
+  await call("/update-setting", { key: "audio.volume", value: 5 }, { token });
+
+  const list = await call("/list-config-history", {}, { token });
+  assert.equal(list.statusCode, 200);
+  const { revisions } = list.body;
+  assert.equal(revisions.length, 3);
+  assert.deepEqual(
+    revisions.map((r) => r.source),
+    ["update-setting", "save-config", null]
+  );
+
+  const oldest = revisions[2].revisionId;
+  const fetched = await call(
+    "/get-config-revision",
+    { revisionId: oldest },
+    { token }
+  );
+  assert.equal(fetched.statusCode, 200);
+  assert.equal(fetched.body.revision.config.theme, "light");
+
+  const restored = await call(
+    "/restore-config-revision",
+    { revisionId: oldest },
+    { token }
+  );
+  assert.equal(restored.statusCode, 200);
+  assert.equal(restored.body.config.theme, "light");
+  assert.equal(restored.body.config.audio.volume, 80);
+});
+
+test("revisions written in the same millisecond keep their order", async (t) => {
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now);
+  for (const theme of ["dark", "light", "dark"])
+    await call("/update-setting", { key: "theme", value: theme }, { token });
+
+  const list = await call("/list-config-history", {}, { token });
+  const themes = [];
+  for (const { revisionId } of list.body.revisions) {
+    const res = await call("/get-config-revision", { revisionId }, { token });
+    themes.push(res.body.revision.config.theme);
+  }
+  assert.deepEqual(themes, ["dark", "light", "dark", "light"]);
+});
+
+test("config revisions reject unknown ids", async () => {
+  const missing = await call("/get-config-revision", {}, { token });
+  assert.equal(missing.statusCode, 400);
+  const unknown = await call(
+    "/get-config-revision",
+    { revisionId: "../account" },
+    { token }
+  );
+  assert.equal(unknown.statusCode, 404);
+  const restore = await call(
+    "/restore-config-revision",
+    { revisionId: "000000000000000-00000000" },
+    { token }
+  );
+  assert.equal(restore.statusCode, 404);
+  assert.equal(restore.body.status, "ERR_REVISION_NOT_FOUND");
+});
+
+// --- game configs ---
+test("a game config inherits the global config and adds its own defaults", async () => {
+  await call("/save-config", { config: { theme: "dark" } }, { token });
+
+  const res = await call("/get-config", undefined, {
+    method: "GET",
+    token,
+    query: { game },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.game, game);
+  assert.equal(res.body.config.theme, "dark");
+  assert.equal(res.body.config.difficulty, "easy");
+  assert.equal(res.body.config.controls.invertY, false);
+  assert.deepEqual(res.body.overrides, {});
+  assert.equal(res.body.version, null);
+});
+
+test("game overrides stay out of the global config", async () => {
+  const { s3 } = stores;
+  const res = await call(
+    "/update-setting",
+    {
+      game,
+      settings: { theme: "dark", "audio.volume": 30, difficulty: "hard" },
+    },
+    { token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.overrides, {
+    theme: "dark",
+    audio: { volume: 30 },
+    difficulty: "hard",
+  });
+  assert.equal(res.body.config.audio.music, 80);
+
+  const globalRes = await call("/get-config", {}, { token });
+  assert.equal(globalRes.body.config.theme, "light");
+  assert.equal(globalRes.body.config.difficulty, undefined);
+  const stored = s3.keys(`users/`).filter((k) => k.includes("/games/"));
+  assert.ok(stored.some((k) => k.endsWith(`/games/${game}/config.json`)));
+
+  // A removed override follows the global value again
+  await call("/update-setting", { key: "audio.music", value: 10 }, { token });
+  const reset = await call(
+    "/update-setting",
+    { game, remove: ["audio.volume"] },
+    { token }
+  );
+  assert.equal(reset.body.config.audio.volume, 80);
+  assert.equal(reset.body.config.audio.music, 10);
+});
+
+test("save-config on a game replaces only its overrides", async () => {
+  const first = await call(
+    "/save-config",
+    { game, config: { difficulty: "hard", theme: "dark" } },
+    { token }
+  );
+  assert.equal(first.statusCode, 200);
+
+  const stale = await call(
+    "/save-config",
+    { game, config: { difficulty: "easy" }, expectedVersion: null },
+    { token }
+  );
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.body.overrides.difficulty, "hard");
+
+  const merged = await call(
+    "/save-config",
+    { game, config: { controls: { invertY: true } }, merge: true },
+    { token }
+  );
+  assert.deepEqual(merged.body.overrides, {
+    difficulty: "hard",
+    theme: "dark",
+    controls: { invertY: true },
+  });
+
+  const replaced = await call(
+    "/save-config",
+    { game, config: { controls: { invertY: true } } },
+    { token }
+  );
+  assert.equal(replaced.body.config.theme, "light");
+  assert.equal(replaced.body.config.difficulty, "easy");
+});
+
+test("config routes reject unknown games and foreign settings", async () => {
+  for (const [path, body] of [
+    ["/get-config", { game: "nope" }],
+    ["/save-config", { game: "nope", config: {} }],
+    ["/update-setting", { game: "../x", key: "theme", value: "dark" }],
+    ["/list-config-history", { game: "nope" }],
+  ]) {
+    const res = await call(path, body, { token });
+    assert.equal(res.statusCode, 400, path);
+    assert.equal(res.body.status, "ERR_UNKNOWN_GAME");
+  }
+
+  const foreign = await call(
+    "/update-setting",
+    { key: "difficulty", value: "hard" },
+    { token }
+  );
+  assert.equal(foreign.statusCode, 400);
+  assert.equal(foreign.body.status, "ERR_INVALID_CONFIG");
+});
+
+test("each game keeps its own config history", async () => {
+  await call(
+    "/update-setting",
+    { game, key: "difficulty", value: "hard" },
+    { token }
+  );
+  await call(
+    "/update-setting",
+    { game, key: "difficulty", value: "easy" },
+    { token }
+  );
+
+  const globalList = await call("/list-config-history", {}, { token });
+  assert.equal(globalList.body.revisions.length, 0);
+  const list = await call("/list-config-history", { game }, { token });
+  assert.equal(list.body.revisions.length, 2);
+  const viaGet = await call("/list-config-history", undefined, {
+    method: "GET",
+    token,
+    query: { game },
+  });
+  assert.deepEqual(viaGet.body.revisions, list.body.revisions);
+
+  const [, older] = list.body.revisions;
+  const fetched = await call(
+    "/get-config-revision",
+    { game, revisionId: older.revisionId },
+    { token }
+  );
+  assert.deepEqual(fetched.body.revision.config, { difficulty: "hard" });
+  const missing = await call(
+    "/get-config-revision",
+    { revisionId: older.revisionId },
+    { token }
+  );
+  assert.equal(missing.statusCode, 404);
+
+  const restored = await call(
+    "/restore-config-revision",
+    { game, revisionId: older.revisionId },
+    { token }
+  );
+  assert.equal(restored.statusCode, 200);
+  assert.equal(restored.body.config.difficulty, "hard");
+});
+
+test("game schemas load from the environment or a file and are checked", () => {
+  const schemas = {
+    "reef-racer": { laps: { type: "number", min: 1, default: 3 } },
+  };
+  assert.deepEqual(
+    loadGameSchemas({ GAME_SCHEMAS: JSON.stringify(schemas) }),
+    schemas
+  );
+  assert.deepEqual(loadGameSchemas({}), {});
+
+  const dir = mkdtempSync(join(tmpdir(), "game-schemas-"));
+  try {
+    const file = join(dir, "games.json");
+    writeFileSync(file, JSON.stringify(schemas));
+    assert.deepEqual(loadGameSchemas({ GAME_SCHEMAS_FILE: file }), schemas);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  for (const bad of [
+    { "Reef Racer": {} },
+    { "reef-racer": { theme: { type: "string", default: "x" } } },
+    { "reef-racer": { laps: { type: "number", min: 1, default: 0 } } },
+    { "reef-racer": { laps: { type: "date", default: 1 } } },
+    { "reef-racer": { pad: { type: "object", properties: [] } } },
+  ]) {
+    assert.throws(
+      () => loadGameSchemas({ GAME_SCHEMAS: JSON.stringify(bad) }),
+      Error,
+      JSON.stringify(bad)
+    );
+  }
+});
@@ -0,0 +1,103 @@
+import { createHash } from "crypto";
+
+// In-memory stand-in for S3Client. It answers the four commands storage.mjs
+// sends, including conditional puts (IfMatch / IfNoneMatch). Every call
+// yields to the event loop first so concurrent requests interleave the way
+// they would against the real service.
+export class FakeS3Client {
+  constructor() {
+    this.objects = new Map();
+    this.faults = [];
+  }
+
+  // Makes the next command matching `match(name, input)` throw `error`
+  failNext(match, error) {
+    this.faults.push({ match, error });
+  }
+
+  async send(command) {
+    await new Promise((resolve) => setImmediate(resolve));
+    const name = command.constructor.name;
+    const { input } = command;
+
+    const fault = this.faults.findIndex((f) => f.match(name, input));
+    if (fault !== -1) {
+      const [{ error }] = this.faults.splice(fault, 1);
+      throw error;
+    }
+
+    switch (name) {
+      case "PutObjectCommand":
+        return this.put(input);
+      case "GetObjectCommand":
+        return this.get(input);
+      case "ListObjectsV2Command":
+        return this.list(input);
+      case "DeleteObjectsCommand":
+        return this.delete(input);
+      default:
+        throw new Error(`FakeS3Client does not support ${name}`);
+    }
+  }
+
+  put({ Key, Body, IfMatch, IfNoneMatch }) {
+    const current = this.objects.get(Key);
+    if (IfNoneMatch === "*" && current) throw s3Error("PreconditionFailed");
+    if (IfMatch !== undefined) {
+      if (!current) throw s3Error("NoSuchKey");
+      if (current.etag !== IfMatch) throw s3Error("PreconditionFailed");
+    }
+    const body = String(Body);
+    const etag = `"${createHash("md5").update(body).digest("hex")}"`;
+    this.objects.set(Key, { body, etag });
+    return { ETag: etag };
+  }
+
+  get({ Key }) {
+    const current = this.objects.get(Key);
+    if (!current) throw s3Error("NoSuchKey");
+    return {
+      Body: { transformToString: async () => current.body },
+      ETag: current.etag,
+    };
+  }
+
+  list({ Prefix = "", ContinuationToken, StartAfter, MaxKeys = 1000 }) {
+    const after = ContinuationToken || StartAfter || "";
+    const keys = [...this.objects.keys()]
+      .filter((key) => key.startsWith(Prefix) && key > after)
+      .sort();
+    const page = keys.slice(0, MaxKeys);
+    const truncated = keys.length > MaxKeys;
+    return {
+      Contents: page.map((Key) => ({ Key })),
+      IsTruncated: truncated,
+      NextContinuationToken: truncated ? page[page.length - 1] : undefined,
+    };
+  }
+
+  delete({ Delete }) {
+    for (const { Key } of Delete.Objects) this.objects.delete(Key);
+    return {};
+  }
+
+  // Test shortcuts that bypass the command interface
+  read(key) {
+    const current = this.objects.get(key);
+    return current && JSON.parse(current.body);
+  }
+
+  write(key, value) {
+    this.put({ Key: key, Body: JSON.stringify(value) });
+  }
+
+  keys(prefix = "") {
+    return [...this.objects.keys()].filter((k) => k.startsWith(prefix)).sort();
+  }
+}
+
+function s3Error(name) {
+  const err = new Error(name);
+  err.name = name;
+  return err;
+}
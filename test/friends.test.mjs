@@ -0,0 +1,279 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  handler,
+  resetStores,
+  call,
+  createUser,
+  PASSWORD,
+} from "./helpers.mjs";
+
+let stores;
+let alice;
+let bob;
+beforeEach(async () => {
+  stores = resetStores();
+  alice = await createUser(stores.outbox, "alice");
+  bob = await createUser(stores.outbox, "Bob");
+});
+
+const as = (user) => ({ token: user.token });
+const names = async (user, list) =>
+  (await call("/list-friends", { list }, as(user))).body.players.map(
+    (p) => p.username
+  );
+
+test("a request can be sent and accepted", async () => {
+  const sent = await call(
+    "/send-friend-request",
+    { username: "bob" },
+    as(alice)
+  );
+  assert.equal(sent.statusCode, 200);
+  assert.equal(sent.body.status, "SUCCESS_FRIEND_REQUEST_SENT");
+  assert.equal(sent.body.username, "Bob");
+
+  const again = await call(
+    "/send-friend-request",
+    { username: "BOB" },
+    as(alice)
+  );
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.status, "ERR_REQUEST_PENDING");
+
+  assert.deepEqual(await names(alice, "outgoing"), ["Bob"]);
+  assert.deepEqual(await names(bob, "incoming"), ["alice"]);
+
+  const accepted = await call(
+    "/accept-friend-request",
+    { username: "alice" },
+    as(bob)
+  );
+  assert.equal(accepted.statusCode, 200);
+  assert.deepEqual(await names(alice, "friends"), ["Bob"]);
+  assert.deepEqual(await names(bob, "friends"), ["alice"]);
+  assert.deepEqual(await names(bob, "incoming"), []);
+  assert.deepEqual(await names(alice, "outgoing"), []);
+
+  const friends = await call(
+    "/send-friend-request",
+    { username: "bob" },
+    as(alice)
+  );
+  assert.equal(friends.statusCode, 409);
+  assert.equal(friends.body.status, "ERR_ALREADY_FRIENDS");
+});
+
+test("crossed requests make friends straight away", async () => {
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  const res = await call(
+    "/send-friend-request",
+    { username: "alice" },
+    as(bob)
+  );
+  assert.equal(res.body.status, "SUCCESS_FRIEND_ADDED");
+  assert.deepEqual(await names(alice, "friends"), ["Bob"]);
+});
+
+test("requests can be declined and cancelled", async () => {
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  const declined = await call(
+    "/decline-friend-request",
+    { username: "alice" },
+    as(bob)
+  );
+  assert.equal(declined.statusCode, 200);
+  assert.deepEqual(await names(alice, "outgoing"), []);
+  const twice = await call(
+    "/decline-friend-request",
+    { username: "alice" },
+    as(bob)
+  );
+  assert.equal(twice.statusCode, 404);
+
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  const cancelled = await call(
+    "/cancel-friend-request",
+    { username: "bob" },
+    as(alice)
+  );
+  assert.equal(cancelled.statusCode, 200);
+  assert.deepEqual(await names(bob, "incoming"), []);
+  const accept = await call(
+    "/accept-friend-request",
+    { username: "alice" },
+    as(bob)
+  );
+  assert.equal(accept.statusCode, 404);
+});
+
+test("remove-friend ends the friendship on both sides", async () => {
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  await call("/accept-friend-request", { username: "alice" }, as(bob));
+
+  const removed = await call("/remove-friend", { username: "alice" }, as(bob));
+  assert.equal(removed.statusCode, 200);
+  assert.deepEqual(await names(alice, "friends"), []);
+  const again = await call("/remove-friend", { username: "alice" }, as(bob));
+  assert.equal(again.statusCode, 404);
+  assert.equal(again.body.status, "ERR_NOT_FRIENDS");
+});
+
+test("blocking drops the relation and refuses requests both ways", async () => {
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  await call("/accept-friend-request", { username: "alice" }, as(bob));
+
+  const blocked = await call("/block-user", { username: "alice" }, as(bob));
+  assert.equal(blocked.statusCode, 200);
+  assert.deepEqual(await names(alice, "friends"), []);
+  assert.deepEqual(await names(bob, "blocked"), ["alice"]);
+
+  for (const [from, to] of [
+    [alice, "bob"],
+    [bob, "alice"],
+  ]) {
+    const res = await call("/send-friend-request", { username: to }, as(from));
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.status, "ERR_FRIEND_REQUEST_BLOCKED");
+  }
+
+  const unblocked = await call("/unblock-user", { username: "alice" }, as(bob));
+  assert.equal(unblocked.statusCode, 200);
+  const twice = await call("/unblock-user", { username: "alice" }, as(bob));
+  assert.equal(twice.statusCode, 404);
+  const res = await call(
+    "/send-friend-request",
+    { username: "bob" },
+    as(alice)
+  );
+  assert.equal(res.statusCode, 200);
+});
+
+test("social routes check the username they act on", async () => {
+  for (const [body, status] of [
+    [{}, 400],
+    [{ username: "a b" }, 400],
+    [{ username: "nobody" }, 404],
+    [{ username: "ALICE" }, 400],
+  ]) {
+    const res = await call("/send-friend-request", body, as(alice));
+    assert.equal(res.statusCode, status, JSON.stringify(body));
+  }
+  assert.equal(
+    (await call("/block-user", { username: "bob" })).statusCode,
+    401
+  );
+});
+
+test("list-friends pages and marks deleted players unavailable", async () => {
+  const others = [];
+  for (const name of ["carol", "dave", "erin"]) {
+    const user = await createUser(stores.outbox, name);
+    await call("/send-friend-request", { username: "alice" }, as(user));
+    others.push(user);
+  }
+
+  const first = await call(
+    "/list-friends",
+    { list: "incoming", limit: 2 },
+    as(alice)
+  );
+  assert.equal(first.body.players.length, 2);
+  assert.ok(first.body.players[0].at);
+  assert.ok(first.body.cursor);
+  const second = await call("/list-friends", undefined, {
+    method: "GET",
+    ...as(alice),
+    query: { list: "incoming", limit: "2", cursor: first.body.cursor },
+  });
+  assert.equal(second.body.players.length, 1);
+  assert.equal(second.body.cursor, null);
+  assert.deepEqual(
+    [...first.body.players, ...second.body.players]
+      .map((p) => p.username)
+      .sort(),
+    ["carol", "dave", "erin"]
+  );
+
+  const key = `users/${others[0].userId}/account.json`;
+  stores.s3.write(key, { ...stores.s3.read(key), deletedAt: "2026-01-01" });
+  const { players } = (
+    await call("/list-friends", { list: "incoming" }, as(alice))
+  ).body;
+  assert.equal(players.length, 3);
+  const { at, ...carol } = players.find((p) => p.username === "carol");
+  assert.deepEqual(carol, { username: "carol", unavailable: true });
+  assert.ok(at);
+
+  for (const body of [{ list: "enemies" }, { limit: 0 }, { cursor: "../x" }]) {
+    const bad = await call("/list-friends", body, as(alice));
+    assert.equal(bad.statusCode, 400, JSON.stringify(body));
+  }
+});
+
+test("relations with disabled or deleted players can still be removed", async () => {
+  const carol = await createUser(stores.outbox, "carol");
+  const dave = await createUser(stores.outbox, "dave");
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  await call("/accept-friend-request", { username: "alice" }, as(bob));
+  await call("/send-friend-request", { username: "carol" }, as(alice));
+  await call("/send-friend-request", { username: "alice" }, as(dave));
+  const erin = await createUser(stores.outbox, "erin");
+  await call("/block-user", { username: "erin" }, as(alice));
+
+  for (const user of [bob, carol, dave, erin]) {
+    const key = `users/${user.userId}/account.json`;
+    stores.s3.write(key, {
+      ...stores.s3.read(key),
+      disabledAt: new Date().toISOString(),
+    });
+  }
+  await call("/delete-account", { password: PASSWORD }, as(carol));
+
+  // New relations still need a listed player
+  const request = await call(
+    "/send-friend-request",
+    { username: "bob" },
+    as(alice)
+  );
+  assert.equal(request.statusCode, 404);
+
+  for (const [route, username] of [
+    ["/remove-friend", "bob"],
+    ["/cancel-friend-request", "carol"],
+    ["/decline-friend-request", "dave"],
+    ["/unblock-user", "erin"],
+  ]) {
+    const res = await call(route, { username }, as(alice));
+    assert.equal(res.statusCode, 200, route);
+  }
+  for (const list of ["friends", "outgoing", "incoming", "blocked"])
+    assert.deepEqual(await names(alice, list), [], list);
+});
+
+test("purging an account removes it from other players' lists", async () => {
+  await call("/send-friend-request", { username: "bob" }, as(alice));
+  await call("/accept-friend-request", { username: "alice" }, as(bob));
+  const carol = await createUser(stores.outbox, "carol");
+  await call("/send-friend-request", { username: "carol" }, as(alice));
+
+  await call("/delete-account", { password: PASSWORD }, as(alice));
+  for (const key of [
+    `deletions/${alice.userId}.json`,
+    `users/${alice.userId}/account.json`,
+  ]) {
+    stores.s3.write(key, {
+      ...stores.s3.read(key),
+      purgeAfter: new Date(Date.now() - 1000).toISOString(),
+    });
+  }
+  const res = await handler({ source: "aws.events" });
+  assert.equal(JSON.parse(res.body).purged, 1);
+
+  for (const user of [bob, carol]) {
+    const leftovers = stores.s3
+      .keys(`users/${user.userId}/`)
+      .filter((k) => k.endsWith(`/${alice.userId}.json`));
+    assert.deepEqual(leftovers, []);
+  }
+});
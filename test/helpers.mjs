@@ -0,0 +1,176 @@
+import { generateKeyPairSync } from "crypto";
+import { createS3Storage } from "../storage.mjs";
+import { createOutboxMailer } from "../mailer.mjs";
+import { FakeS3Client } from "./fake-s3.mjs";
+import { startMockIssuer } from "./mock-issuer.mjs";
+
+export const issuer = await startMockIssuer();
+
+// Token signing key; JWT_SECRET stays set as the pre-rotation HS256 secret
+export const signingKey = generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+// Settings are read when index.mjs loads, so they are fixed before importing
+Object.assign(process.env, {
+  JWT_SECRET: "test-secret",
+  JWT_SIGNING_KEYS: JSON.stringify([
+    {
+      kid: "test-key",
+      privateKey: signingKey.privateKey.export({
+        format: "pem",
+        type: "pkcs8",
+      }),
+    },
+  ]),
+  PASSWORD_HASH_COST: "4",
+  MAILER_BACKEND: "outbox",
+  LOG_LEVEL: "silent",
+  LOGIN_MAX_ATTEMPTS: "3",
+  LOGIN_IP_MAX_ATTEMPTS: "50",
+  RESEND_COOLDOWN_SECONDS: "0",
+  RESEND_MAX_PER_DAY: "2",
+  CORS_ALLOWED_ORIGINS: "https://game.example",
+  GAME_SCHEMAS: JSON.stringify({
+    "reef-racer": {
+      difficulty: { type: "string", enum: ["easy", "hard"], default: "easy" },
+      controls: {
+        type: "object",
+        properties: { invertY: { type: "boolean", default: false } },
+      },
+    },
+  }),
+  OIDC_PROVIDERS: JSON.stringify({
+    mock: {
+      issuer: issuer.issuer,
+      jwksUri: issuer.jwksUri,
+      audience: issuer.audience,
+    },
+    // Its key set is never found, like a provider that is down
+    down: {
+      issuer: issuer.issuer,
+      jwksUri: `${issuer.issuer}/missing`,
+      audience: issuer.audience,
+    },
+  }),
+});
+const index = await import("../index.mjs");
+
+export const { handler } = index;
+
+// Fresh S3 stand-in and outbox, swapped into the handler; call per test
+export function resetStores() {
+  const s3 = new FakeS3Client();
+  const outbox = createOutboxMailer();
+  index.setStorage(createS3Storage({ bucket: "test-bucket", client: s3 }));
+  index.setMailer(outbox);
+  return { s3, outbox };
+}
+
+// --- Events ---
+// HTTP API (payload v2) event
+export function v2Event(
+  path,
+  { method = "POST", body, headers = {}, stage, query } = {}
+) {
+  return {
+    version: "2.0",
+    rawPath: stage ? `/${stage}${path}` : path,
+    headers: lowerCaseKeys(headers),
+    ...(query && { queryStringParameters: query }),
+    body: body === undefined ? undefined : JSON.stringify(body),
+    requestContext: {
+      stage: stage || "$default",
+      requestId: "v2-request",
+      domainName: "api.example.com",
+      http: { method, sourceIp: "203.0.113.10" },
+    },
+  };
+}
+
+// REST API (payload v1) event
+export function v1Event(
+  path,
+  { method = "POST", body, headers = {}, query } = {}
+) {
+  return {
+    path,
+    httpMethod: method,
+    headers,
+    queryStringParameters: query || null,
+    body: body === undefined ? null : JSON.stringify(body),
+    requestContext: {
+      requestId: "v1-request",
+      identity: { sourceIp: "203.0.113.11" },
+    },
+  };
+}
+
+function lowerCaseKeys(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+}
+
+// Calls the handler and parses the JSON body. `token` is sent as a bearer
+// header; `version: 1` switches to the REST API event shape.
+export async function call(
+  path,
+  body,
+  { token, version = 2, ...options } = {}
+) {
+  const headers = { ...options.headers };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const build = version === 1 ? v1Event : v2Event;
+  const res = await handler(build(path, { ...options, body, headers }));
+  let parsed = null;
+  try {
+    parsed = res.body ? JSON.parse(res.body) : null;
+  } catch (err) {
+    parsed = res.body;
+  }
+  return { statusCode: res.statusCode, headers: res.headers, body: parsed };
+}
+
+// --- Accounts ---
+export const PASSWORD = "tide-pool-42";
+
+export function accountFields(username, overrides = {}) {
+  return {
+    username,
+    password: PASSWORD,
+    email: `${username}@example.com`,
+    birthday: "2000-01-01",
+    ...overrides,
+  };
+}
+
+// Last email sent to `to`, and the code or token it carries
+export function lastEmail(outbox, to) {
+  return outbox.sent.filter((m) => m.to === to).pop();
+}
+
+export function verificationCode(outbox, email) {
+  return /this code: (\S+)/.exec(lastEmail(outbox, email).text)[1];
+}
+
+export function resetToken(outbox, email) {
+  return /reset your password: (\S+)/.exec(lastEmail(outbox, email).text)[1];
+}
+
+// Signs up, verifies the email and logs in
+export async function createUser(outbox, username, overrides = {}) {
+  const fields = accountFields(username, overrides);
+  const created = await call("/create-account", fields);
+  await call("/verify-email", {
+    code: verificationCode(outbox, fields.email),
+  });
+  const login = await call("/login", {
+    username: fields.username,
+    password: fields.password,
+  });
+  return {
+    userId: created.body.userId,
+    token: login.body.token,
+    refreshToken: login.body.refreshToken,
+    ...fields,
+  };
+}
@@ -0,0 +1,66 @@
+import { createServer } from "http";
+import { generateKeyPairSync, randomUUID } from "crypto";
+import jwt from "jsonwebtoken";
+
+// Local OpenID Connect issuer: serves its signing keys at /jwks and signs
+// ID tokens for tests. rotate() switches to a new key and publishes both.
+export async function startMockIssuer({ audience = "tsunami-test" } = {}) {
+  const keys = [];
+  const addKey = () => {
+    const { privateKey, publicKey } = generateKeyPairSync("ec", {
+      namedCurve: "P-256",
+    });
+    const kid = randomUUID();
+    keys.push({
+      kid,
+      privateKey,
+      jwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "ES256" },
+    });
+    return kid;
+  };
+  addKey();
+  const unpublished = {
+    kid: "unpublished",
+    privateKey: generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey,
+  };
+
+  let fetches = 0;
+  const server = createServer((req, res) => {
+    if (req.url !== "/jwks") {
+      res.writeHead(404).end();
+      return;
+    }
+    fetches++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ keys: keys.map((k) => k.jwk) }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // Never keeps the test process alive
+  server.unref();
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const issuer = {
+    issuer: url,
+    jwksUri: `${url}/jwks`,
+    audience,
+    get fetches() {
+      return fetches;
+    },
+
+    // `key: "unpublished"` signs with a key the JWKS does not list
+    idToken(claims, options = {}) {
+      const key =
+        options.key === "unpublished" ? unpublished : keys[keys.length - 1];
+      return jwt.sign(claims, key.privateKey, {
+        algorithm: "ES256",
+        keyid: key.kid,
+        issuer: options.issuer || url,
+        audience: options.audience || audience,
+        expiresIn: options.expiresIn ?? "5m",
+      });
+    },
+
+    rotate: addKey,
+  };
+  return issuer;
+}
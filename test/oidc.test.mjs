@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOidcVerifier } from "../oidc.mjs";
+import { issuer } from "./helpers.mjs";
+
+const env = {
+  OIDC_PROVIDERS: JSON.stringify({
+    mock: {
+      issuer: issuer.issuer,
+      jwksUri: issuer.jwksUri,
+      audience: issuer.audience,
+    },
+  }),
+};
+
+test("verifies ID tokens and reads the identity", async () => {
+  const oidc = createOidcVerifier(env);
+  assert.equal(oidc.has("mock"), true);
+  assert.equal(oidc.has("steam"), false);
+  assert.equal(oidc.has("constructor"), false);
+
+  const identity = await oidc.verify(
+    "mock",
+    issuer.idToken({
+      sub: "1234",
+      email: "diver@example.com",
+      email_verified: "true",
+    })
+  );
+  assert.deepEqual(identity, {
+    subject: "1234",
+    email: "diver@example.com",
+    emailVerified: true,
+  });
+});
+
+test("rejects tokens for another audience or issuer, or expired", async () => {
+  const oidc = createOidcVerifier(env);
+  for (const options of [
+    { audience: "someone-else" },
+    { issuer: "https://evil.example" },
+    { expiresIn: -10 },
+    { key: "unpublished" },
+  ]) {
+    await assert.rejects(
+      oidc.verify("mock", issuer.idToken({ sub: "1234" }, options)),
+      { name: "InvalidIdToken" },
+      JSON.stringify(options)
+    );
+  }
+  await assert.rejects(oidc.verify("mock", "not-a-jwt"), {
+    name: "InvalidIdToken",
+  });
+  await assert.rejects(oidc.verify("mock", issuer.idToken({})), {
+    name: "InvalidIdToken",
+  });
+});
+
+test("caches keys and refetches when the provider rotates", async () => {
+  const oidc = createOidcVerifier(env, { refetchSeconds: 0 });
+  const before = issuer.fetches;
+  await oidc.verify("mock", issuer.idToken({ sub: "a" }));
+  await oidc.verify("mock", issuer.idToken({ sub: "b" }));
+  assert.equal(issuer.fetches, before + 1);
+
+  issuer.rotate();
+  const identity = await oidc.verify("mock", issuer.idToken({ sub: "c" }));
+  assert.equal(identity.subject, "c");
+  assert.equal(issuer.fetches, before + 2);
+});
+
+test("a provider that does not answer in time is unavailable", async () => {
+  // Never settles unless aborted
+  const hanging = (url, { signal }) =>
+    new Promise((resolve, reject) =>
+      signal.addEventListener("abort", () => reject(signal.reason))
+    );
+  const oidc = createOidcVerifier(env, { fetch: hanging, timeoutMs: 50 });
+  await assert.rejects(oidc.verify("mock", issuer.idToken({ sub: "a" })), {
+    name: "ProviderUnavailable",
+  });
+
+  const failing = async () => ({ ok: false, status: 502 });
+  await assert.rejects(
+    createOidcVerifier(env, { fetch: failing }).verify(
+      "mock",
+      issuer.idToken({ sub: "a" })
+    ),
+    { name: "ProviderUnavailable", message: /502/ }
+  );
+});
+
+test("rejects malformed provider settings", () => {
+  assert.throws(() =>
+    createOidcVerifier({ OIDC_PROVIDERS: '{"Bad Name": {}}' })
+  );
+  assert.throws(() =>
+    createOidcVerifier({ OIDC_PROVIDERS: '{"mock": {"issuer": "x"}}' })
+  );
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import {
+  checkPasswordPolicy,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} from "../password.mjs";
+
+test("checkPasswordPolicy enforces length, characters and the blocklist", () => {
+  assert.equal(checkPasswordPolicy("tide-pool-42"), null);
+  assert.equal(checkPasswordPolicy("пароль-прилив"), null);
+  assert.equal(checkPasswordPolicy(12345678), "must be a string");
+  assert.match(checkPasswordPolicy("short"), /at least 8/);
+  assert.match(checkPasswordPolicy("x".repeat(129)), /at most 128/);
+  // Eight characters even though the emoji take two UTF-16 units each
+  assert.equal(checkPasswordPolicy("🌊🌊🌊🌊wave"), null);
+  assert.match(checkPasswordPolicy("line\nbreak1"), /control characters/);
+  for (const common of ["password", "PASSWORD", "Sunshine99!", "12345678"]) {
+    assert.match(checkPasswordPolicy(common), /too common/, common);
+  }
+});
+
+test("hashPassword stores the version and verifyPassword reads every version", async () => {
+  const v2 = await hashPassword("tide-pool-42", { version: 2, cost: 4 });
+  assert.match(v2, /^v2:\$2[ab]\$04\$/);
+  assert.equal(await verifyPassword("tide-pool-42", v2), true);
+  assert.equal(await verifyPassword("tide-pool-43", v2), false);
+
+  const v1 = await hashPassword("tide-pool-42", { version: 1, cost: 4 });
+  assert.match(v1, /^\$2[ab]\$04\$/);
+  assert.equal(await verifyPassword("tide-pool-42", v1), true);
+
+  assert.equal(await verifyPassword("tide-pool-42", "v9:whatever"), false);
+  assert.equal(await verifyPassword(undefined, v2), false);
+});
+
+test("version 2 does not truncate long passwords", async () => {
+  const base = "a".repeat(72);
+  const stored = await hashPassword(`${base}1`, { version: 2, cost: 4 });
+  assert.equal(await verifyPassword(`${base}2`, stored), false);
+  const legacy = await bcrypt.hash(`${base}1`, 4);
+  assert.equal(await verifyPassword(`${base}2`, legacy), true);
+});
+
+test("needsRehash flags older versions and lower costs", async () => {
+  const legacy = await bcrypt.hash("tide-pool-42", 4);
+  const current = await hashPassword("tide-pool-42", { version: 2, cost: 4 });
+  assert.equal(needsRehash(legacy, { version: 2, cost: 4 }), true);
+  assert.equal(needsRehash(current, { version: 2, cost: 4 }), false);
+  assert.equal(needsRehash(current, { version: 2, cost: 5 }), true);
+  assert.equal(needsRehash(current, { version: 1, cost: 4 }), false);
+});
@@ -0,0 +1,211 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { resetStores, call, createUser, PASSWORD } from "./helpers.mjs";
+
+let stores;
+let alice;
+beforeEach(async () => {
+  stores = resetStores();
+  alice = await createUser(stores.outbox, "Alice");
+});
+
+// --- get-profile / update-profile ---
+test("the owner sees the whole profile and its privacy settings", async () => {
+  const res = await call("/get-profile", {}, { token: alice.token });
+  assert.equal(res.statusCode, 200);
+  const { profile } = res.body;
+  assert.equal(profile.username, "Alice");
+  assert.equal(profile.displayName, null);
+  assert.ok(Date.parse(profile.joinedAt));
+  assert.equal(profile.privacy.bio, "public");
+  assert.equal(profile.email, undefined);
+  assert.equal(profile.birthday, undefined);
+  assert.equal((await call("/get-profile", {})).statusCode, 401);
+});
+
+test("joinedAt is left out for accounts created before it was stored", async () => {
+  const admin = await createUser(stores.outbox, "ops");
+  const adminKey = `users/${admin.userId}/account.json`;
+  stores.s3.write(adminKey, { ...stores.s3.read(adminKey), roles: ["admin"] });
+
+  const key = `users/${alice.userId}/account.json`;
+  const { createdAt, ...legacy } = stores.s3.read(key);
+  stores.s3.write(key, legacy);
+
+  const res = await call(
+    "/get-profile",
+    { username: "alice" },
+    { token: admin.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.ok(!("joinedAt" in res.body.profile));
+
+  // The index rebuild does not make a join date up
+  await call("/admin/rebuild-indexes", {}, { token: admin.token });
+  assert.equal(stores.s3.read(key).createdAt, undefined);
+});
+
+test("update-profile validates and stores the fields", async () => {
+  const res = await call(
+    "/update-profile",
+    {
+      displayName: "  Alice 🌊 ",
+      avatar: "shark-03",
+      bio: "Surfs\nevery wave",
+      privacy: { bio: "private" },
+    },
+    { token: alice.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.profile.displayName, "Alice 🌊");
+  assert.equal(res.body.profile.privacy.bio, "private");
+
+  const cleared = await call(
+    "/update-profile",
+    { avatar: null },
+    { token: alice.token }
+  );
+  assert.equal(cleared.body.profile.avatar, null);
+  assert.equal(cleared.body.profile.bio, "Surfs\nevery wave");
+
+  for (const update of [
+    {},
+    { displayName: "" },
+    { displayName: "x".repeat(33) },
+    { avatar: "https://evil.example/pixel.gif" },
+    { bio: "bell\u0007" },
+    { privacy: { email: "public" } },
+    { privacy: { bio: "friends-only" } },
+  ]) {
+    const bad = await call("/update-profile", update, { token: alice.token });
+    assert.equal(bad.statusCode, 400, JSON.stringify(update));
+  }
+});
+
+test("other players only see public fields and never account data", async () => {
+  const bob = await createUser(stores.outbox, "bob");
+  await call(
+    "/update-profile",
+    {
+      displayName: "Ali",
+      bio: "secret plans",
+      privacy: { bio: "private", joinedAt: "private" },
+    },
+    { token: alice.token }
+  );
+
+  const res = await call("/get-profile", undefined, {
+    method: "GET",
+    token: bob.token,
+    query: { username: "ALICE" },
+  });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.profile, {
+    username: "Alice",
+    displayName: "Ali",
+    avatar: null,
+  });
+  assert.doesNotMatch(JSON.stringify(res.body), /alice@example|2000-01-01/);
+
+  const missing = await call(
+    "/get-profile",
+    { username: "nobody" },
+    { token: bob.token }
+  );
+  assert.equal(missing.statusCode, 404);
+  const invalid = await call(
+    "/get-profile",
+    { username: "a b" },
+    { token: bob.token }
+  );
+  assert.equal(invalid.statusCode, 400);
+});
+
+test("deleted, disabled and renamed accounts have no public profile", async () => {
+  const bob = await createUser(stores.outbox, "bob");
+  await call(
+    "/update-account",
+    { password: PASSWORD, username: "alicia" },
+    { token: alice.token }
+  );
+  const renamed = await call(
+    "/get-profile",
+    { username: "alice" },
+    { token: bob.token }
+  );
+  assert.equal(renamed.statusCode, 404);
+  const current = await call(
+    "/get-profile",
+    { username: "alicia" },
+    { token: bob.token }
+  );
+  assert.equal(current.statusCode, 200);
+
+  const key = `users/${alice.userId}/account.json`;
+  stores.s3.write(key, { ...stores.s3.read(key), disabledAt: "2026-01-01" });
+  const disabled = await call(
+    "/get-profile",
+    { username: "alicia" },
+    { token: bob.token }
+  );
+  assert.equal(disabled.statusCode, 404);
+});
+
+// --- search-users ---
+test("search-users pages through a username prefix", async () => {
+  for (const name of ["alina", "Alfred", "albert", "bob"]) {
+    await createUser(stores.outbox, name);
+  }
+  const { token } = alice;
+
+  const first = await call(
+    "/search-users",
+    { prefix: "AL", limit: 2 },
+    { token }
+  );
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(
+    first.body.players.map((p) => p.username),
+    ["albert", "Alfred"]
+  );
+  assert.ok(first.body.cursor);
+
+  const second = await call("/search-users", undefined, {
+    method: "GET",
+    token,
+    query: { prefix: "al", limit: "2", cursor: first.body.cursor },
+  });
+  assert.deepEqual(
+    second.body.players.map((p) => p.username),
+    ["Alice", "alina"]
+  );
+  assert.equal(second.body.cursor, null);
+  assert.ok(second.body.players.every((p) => !("email" in p)));
+
+  const none = await call("/search-users", { prefix: "zed" }, { token });
+  assert.deepEqual(none.body.players, []);
+});
+
+test("search-users rejects bad input and skips unlisted accounts", async () => {
+  const { token } = alice;
+  await createUser(stores.outbox, "alex");
+  const key = "users/by-username/alex.json";
+  stores.s3.write(key, { ...stores.s3.read(key), released: true });
+
+  const res = await call("/search-users", { prefix: "al" }, { token });
+  assert.deepEqual(
+    res.body.players.map((p) => p.username),
+    ["Alice"]
+  );
+
+  for (const body of [
+    {},
+    { prefix: "a b" },
+    { prefix: "al", limit: 0 },
+    { prefix: "al", limit: 51 },
+    { prefix: "al", cursor: "bob" },
+  ]) {
+    const bad = await call("/search-users", body, { token });
+    assert.equal(bad.statusCode, 400, JSON.stringify(body));
+  }
+});
@@ -0,0 +1,404 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { generateCode } from "../totp.mjs";
+import {
+  resetStores,
+  call,
+  createUser,
+  issuer,
+  lastEmail,
+  PASSWORD,
+} from "./helpers.mjs";
+
+let stores;
+beforeEach(() => {
+  stores = resetStores();
+});
+
+const idToken = (sub, claims = {}) =>
+  issuer.idToken({
+    sub,
+    email: `${sub}@mail.example`,
+    email_verified: true,
+    ...claims,
+  });
+
+const signUp = (sub, fields = {}) =>
+  call("/create-account-provider", {
+    provider: "mock",
+    idToken: idToken(sub),
+    username: sub,
+    birthday: "2000-01-01",
+    ...fields,
+  });
+
+test("signs up and back in with a provider", async () => {
+  const created = await signUp("diver");
+  assert.equal(created.statusCode, 200);
+  assert.equal(created.body.status, "SUCCESS_CREATE_ACCOUNT");
+  assert.equal(created.body.emailVerified, true);
+  assert.ok(created.body.token);
+
+  const { userId } = created.body;
+  const account = stores.s3.read(`users/${userId}/account.json`);
+  assert.equal(account.password, null);
+  assert.equal(account.email, "diver@mail.example");
+  assert.equal(account.providers[0].subject, "diver");
+  assert.equal(stores.outbox.sent.length, 0);
+
+  const login = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("diver"),
+  });
+  assert.equal(login.statusCode, 200);
+  assert.ok(login.body.token);
+
+  // No password was set, so password login fails
+  const byPassword = await call("/login", {
+    username: "diver",
+    password: PASSWORD,
+  });
+  assert.equal(byPassword.statusCode, 401);
+});
+
+test("a different email address still has to be verified", async () => {
+  const created = await signUp("diver", { email: "other@example.com" });
+  assert.equal(created.statusCode, 200);
+  assert.equal(created.body.emailVerified, false);
+  assert.ok(lastEmail(stores.outbox, "other@example.com"));
+
+  const unverified = await signUp("snorkel", {
+    idToken: idToken("snorkel", { email_verified: false }),
+  });
+  assert.equal(unverified.body.emailVerified, false);
+});
+
+test("rejects bad tokens, unknown providers and taken identities", async () => {
+  const forged = await signUp("diver", {
+    idToken: issuer.idToken({ sub: "diver" }, { audience: "other-app" }),
+  });
+  assert.equal(forged.statusCode, 401);
+  assert.equal(forged.body.status, "ERR_INVALID_PROVIDER_TOKEN");
+
+  const unknown = await signUp("diver", { provider: "steam" });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.status, "ERR_UNKNOWN_PROVIDER");
+
+  assert.equal((await signUp("diver")).statusCode, 200);
+  const twice = await signUp("diver", {
+    username: "diver2",
+    email: "diver2@example.com",
+  });
+  assert.equal(twice.statusCode, 409);
+  assert.equal(twice.body.duplicateField, "provider");
+
+  const stranger = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("stranger"),
+  });
+  assert.equal(stranger.statusCode, 404);
+  assert.equal(stranger.body.status, "ERR_PROVIDER_NOT_LINKED");
+});
+
+test("an unreachable provider answers 503", async () => {
+  const res = await call("/login-provider", {
+    provider: "down",
+    idToken: idToken("diver"),
+  });
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, "ERR_PROVIDER_UNAVAILABLE");
+});
+
+test("email matches never link an existing account", async () => {
+  await createUser(stores.outbox, "alice");
+  const login = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("g-1", { email: "alice@example.com" }),
+  });
+  assert.equal(login.statusCode, 404);
+});
+
+test("links, signs in with and unlinks a provider", async () => {
+  const alice = await createUser(stores.outbox, "alice");
+  const linked = await call(
+    "/link-provider",
+    { provider: "mock", idToken: idToken("g-1"), password: PASSWORD },
+    { token: alice.token }
+  );
+  assert.equal(linked.statusCode, 200);
+  assert.deepEqual(
+    linked.body.providers.map((p) => p.provider),
+    ["mock"]
+  );
+  assert.equal(linked.body.providers[0].subject, undefined);
+
+  const again = await call(
+    "/link-provider",
+    { provider: "mock", idToken: idToken("g-1"), password: PASSWORD },
+    { token: alice.token }
+  );
+  assert.equal(again.statusCode, 200);
+
+  const second = await call(
+    "/link-provider",
+    { provider: "mock", idToken: idToken("g-2"), password: PASSWORD },
+    { token: alice.token }
+  );
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.status, "ERR_PROVIDER_ALREADY_LINKED");
+
+  const bob = await createUser(stores.outbox, "bob");
+  const stolen = await call(
+    "/link-provider",
+    { provider: "mock", idToken: idToken("g-1"), password: PASSWORD },
+    { token: bob.token }
+  );
+  assert.equal(stolen.statusCode, 409);
+  assert.equal(stolen.body.status, "ERR_PROVIDER_LINKED");
+
+  const login = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("g-1"),
+  });
+  assert.equal(login.statusCode, 200);
+
+  const unlinked = await call(
+    "/unlink-provider",
+    { provider: "mock", password: PASSWORD },
+    { token: alice.token }
+  );
+  assert.equal(unlinked.statusCode, 200);
+  assert.deepEqual(unlinked.body.providers, []);
+  assert.deepEqual(stores.s3.keys("users/by-provider/"), []);
+
+  const gone = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("g-1"),
+  });
+  assert.equal(gone.statusCode, 404);
+});
+
+test("linking and unlinking need more than an access token", async () => {
+  const alice = await createUser(stores.outbox, "alice");
+  const link = (fields) =>
+    call(
+      "/link-provider",
+      { provider: "mock", idToken: idToken("g-1"), ...fields },
+      { token: alice.token }
+    );
+
+  const bare = await link({});
+  assert.equal(bare.statusCode, 400);
+  assert.equal(bare.body.status, "ERR_MISSING_FIELDS");
+  const wrong = await link({ password: "nope" });
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.status, "ERR_INVALID_CREDENTIALS");
+  assert.deepEqual(stores.s3.keys("users/by-provider/"), []);
+
+  assert.equal((await link({ password: PASSWORD })).statusCode, 200);
+  const unlink = (fields) =>
+    call(
+      "/unlink-provider",
+      { provider: "mock", ...fields },
+      { token: alice.token }
+    );
+  assert.equal((await unlink({})).statusCode, 400);
+  assert.equal((await unlink({ password: "nope" })).statusCode, 401);
+  assert.equal(stores.s3.keys("users/by-provider/").length, 1);
+
+  // Without a password, a token from an already linked identity
+  const { body } = await signUp("diver");
+  const other = await call(
+    "/link-provider",
+    {
+      provider: "mock",
+      idToken: idToken("diver"),
+      currentProvider: "mock",
+      currentIdToken: idToken("someone-else"),
+    },
+    { token: body.token }
+  );
+  assert.equal(other.statusCode, 401);
+});
+
+test("linking a provider needs a code when 2FA is on", async () => {
+  const alice = await createUser(stores.outbox, "alice");
+  const setup = await call(
+    "/setup-2fa",
+    { password: PASSWORD },
+    { token: alice.token }
+  );
+  const enabled = await call(
+    "/enable-2fa",
+    { password: PASSWORD, code: generateCode(setup.body.secret) },
+    { token: alice.token }
+  );
+  const fields = {
+    provider: "mock",
+    idToken: idToken("g-1"),
+    password: PASSWORD,
+  };
+
+  const noCode = await call("/link-provider", fields, { token: alice.token });
+  assert.equal(noCode.statusCode, 401);
+  assert.equal(noCode.body.status, "ERR_INVALID_2FA_CODE");
+
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const linked = await call(
+    "/link-provider",
+    { ...fields, recoveryCode },
+    { token: alice.token }
+  );
+  assert.equal(linked.statusCode, 200);
+  const account = stores.s3.read(`users/${alice.userId}/account.json`);
+  assert.equal(account.twoFactor.recoveryCodes.length, 9);
+
+  const spent = await call(
+    "/unlink-provider",
+    { provider: "mock", password: PASSWORD, recoveryCode },
+    { token: alice.token }
+  );
+  assert.equal(spent.statusCode, 401);
+
+  // Wrong codes count toward the login lockout
+  const locked = await call(
+    "/unlink-provider",
+    { provider: "mock", password: PASSWORD, code: "000000" },
+    { token: alice.token }
+  );
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.status, "ERR_ACCOUNT_LOCKED");
+});
+
+test("the last way to sign in cannot be unlinked", async () => {
+  const { body } = await signUp("diver");
+  const current = { currentProvider: "mock", currentIdToken: idToken("diver") };
+  const res = await call(
+    "/unlink-provider",
+    { provider: "mock", ...current },
+    { token: body.token }
+  );
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.status, "ERR_LAST_SIGN_IN_METHOD");
+
+  const missing = await call(
+    "/unlink-provider",
+    { provider: "other", ...current },
+    { token: body.token }
+  );
+  assert.equal(missing.statusCode, 404);
+});
+
+test("provider-only accounts re-authenticate with an ID token", async () => {
+  const { body } = await signUp("diver");
+  const { token } = body;
+
+  const exported = await call(
+    "/export-account",
+    { provider: "mock", idToken: idToken("diver") },
+    { token }
+  );
+  assert.equal(exported.statusCode, 200);
+  assert.equal(
+    exported.body.export.objects[`users/${body.userId}/account.json`].username,
+    "diver"
+  );
+
+  // Another identity or a forged token do not count
+  for (const fields of [
+    { provider: "mock", idToken: idToken("someone-else") },
+    {
+      provider: "mock",
+      idToken: issuer.idToken({ sub: "diver" }, { audience: "other-app" }),
+    },
+  ]) {
+    const res = await call("/delete-account", fields, { token });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.status, "ERR_INVALID_CREDENTIALS");
+  }
+
+  const deleted = await call(
+    "/delete-account",
+    { provider: "mock", idToken: idToken("diver") },
+    { token }
+  );
+  assert.equal(deleted.statusCode, 200);
+
+  const restored = await call("/restore-account", {
+    username: "diver",
+    provider: "mock",
+    idToken: idToken("diver"),
+  });
+  assert.equal(restored.statusCode, 200);
+});
+
+test("re-authenticating while the provider is unreachable answers 503", async () => {
+  const { body } = await signUp("diver");
+  const res = await call(
+    "/export-account",
+    { provider: "down", idToken: idToken("diver") },
+    { token: body.token }
+  );
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, "ERR_PROVIDER_UNAVAILABLE");
+});
+
+test("provider sign-in still asks for the 2FA code", async () => {
+  const { body } = await signUp("diver");
+  const current = { provider: "mock", idToken: idToken("diver") };
+  const setup = await call("/setup-2fa", current, { token: body.token });
+  const enabled = await call(
+    "/enable-2fa",
+    { ...current, code: generateCode(setup.body.secret) },
+    { token: body.token }
+  );
+  assert.equal(enabled.statusCode, 200);
+
+  const login = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("diver"),
+  });
+  assert.equal(login.statusCode, 200);
+  assert.equal(login.body.status, "SUCCESS_2FA_REQUIRED");
+  assert.ok(login.body.challengeToken);
+  assert.equal(login.body.token, undefined);
+  assert.equal(login.body.refreshToken, undefined);
+
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const done = await call("/login-2fa", {
+    challengeToken: login.body.challengeToken,
+    recoveryCode,
+  });
+  assert.equal(done.statusCode, 200);
+  assert.ok(done.body.token);
+});
+
+test("disabled accounts cannot sign in with a provider", async () => {
+  const { body } = await signUp("diver");
+  const key = `users/${body.userId}/account.json`;
+  stores.s3.write(key, {
+    ...stores.s3.read(key),
+    disabledAt: new Date().toISOString(),
+  });
+
+  const res = await call("/login-provider", {
+    provider: "mock",
+    idToken: idToken("diver"),
+  });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.status, "ERR_ACCOUNT_DISABLED");
+});
+
+test("rebuild-indexes restores a lost provider index entry", async () => {
+  const admin = await createUser(stores.outbox, "ops");
+  const adminKey = `users/${admin.userId}/account.json`;
+  stores.s3.write(adminKey, { ...stores.s3.read(adminKey), roles: ["admin"] });
+
+  const { body } = await signUp("diver");
+  const [indexKey] = stores.s3.keys("users/by-provider/");
+  stores.s3.objects.delete(indexKey);
+
+  const res = await call("/admin/rebuild-indexes", {}, { token: admin.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(stores.s3.read(indexKey).userId, body.userId);
+});
@@ -0,0 +1,145 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  handler,
+  resetStores,
+  call,
+  v1Event,
+  v2Event,
+  createUser,
+  PASSWORD,
+} from "./helpers.mjs";
+
+let stores;
+beforeEach(() => {
+  stores = resetStores();
+});
+
+test("unknown and suffixed paths return 404", async () => {
+  assert.equal((await call("/nope", {})).statusCode, 404);
+  const res = await call("/foo/login", { username: "a", password: "b" });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.status, "ERR_ROUTE_NOT_FOUND");
+});
+
+test("wrong method returns 405 with an Allow header", async () => {
+  const res = await call("/login", undefined, { method: "GET" });
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.body.status, "ERR_METHOD_NOT_ALLOWED");
+  assert.equal(res.headers.Allow, "POST, OPTIONS");
+});
+
+test("invalid JSON returns 400", async () => {
+  const res = await handler({ ...v2Event("/login"), body: "{not json" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(JSON.parse(res.body).status, "ERR_INVALID_JSON");
+});
+
+test("preflight answers allowed origins only", async () => {
+  const allowed = await handler(
+    v1Event("/get-config", {
+      method: "OPTIONS",
+      headers: { Origin: "https://game.example" },
+    })
+  );
+  assert.equal(allowed.statusCode, 204);
+  assert.equal(
+    allowed.headers["Access-Control-Allow-Origin"],
+    "https://game.example"
+  );
+  assert.equal(
+    allowed.headers["Access-Control-Allow-Methods"],
+    "GET, POST, OPTIONS"
+  );
+  assert.match(
+    allowed.headers["Access-Control-Allow-Headers"],
+    /Authorization/
+  );
+
+  const denied = await handler(
+    v1Event("/get-config", {
+      method: "OPTIONS",
+      headers: { Origin: "https://evil.example" },
+    })
+  );
+  assert.equal(denied.statusCode, 204);
+  assert.equal(denied.headers["Access-Control-Allow-Origin"], undefined);
+});
+
+test("responses carry CORS headers and a request id, never logs", async () => {
+  const res = await call(
+    "/login",
+    { username: "ghost", password: PASSWORD },
+    { headers: { Origin: "https://game.example" } }
+  );
+  assert.equal(res.statusCode, 401);
+  assert.equal(
+    res.headers["Access-Control-Allow-Origin"],
+    "https://game.example"
+  );
+  assert.equal(res.headers["X-Request-Id"], "v2-request");
+  assert.equal(res.body.logs, undefined);
+});
+
+test("v1 and v2 events with stages reach the same routes", async () => {
+  const user = await createUser(stores.outbox, "alice");
+
+  const v1 = await call("/get-account", undefined, {
+    version: 1,
+    method: "GET",
+    token: user.token,
+  });
+  assert.equal(v1.statusCode, 200);
+  assert.equal(v1.body.account.username, "alice");
+
+  const staged = await call("/get-account", undefined, {
+    stage: "prod",
+    method: "GET",
+    token: user.token,
+  });
+  assert.equal(staged.statusCode, 200);
+});
+
+test("tokens are accepted from the body or a bearer header", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  assert.equal(
+    (await call("/get-account", { token: user.token })).statusCode,
+    200
+  );
+  assert.equal(
+    (await call("/get-account", {}, { token: user.token })).statusCode,
+    200
+  );
+
+  const missing = await call("/get-account", {});
+  assert.equal(missing.statusCode, 401);
+  assert.equal(missing.body.status, "ERR_NOT_LOGGED_IN");
+
+  const forged = await call("/get-account", {}, { token: "not.a.jwt" });
+  assert.equal(forged.statusCode, 401);
+});
+
+test("unverified accounts only reach the allowed routes", async () => {
+  await call("/create-account", {
+    username: "newbie",
+    password: PASSWORD,
+    email: "newbie@example.com",
+    birthday: "2000-01-01",
+  });
+  const login = await call("/login", {
+    username: "newbie",
+    password: PASSWORD,
+  });
+  const { token } = login.body;
+
+  assert.equal((await call("/get-account", {}, { token })).statusCode, 200);
+  const blocked = await call("/save-config", { config: {} }, { token });
+  assert.equal(blocked.statusCode, 403);
+  assert.equal(blocked.body.status, "ERR_EMAIL_NOT_VERIFIED");
+});
+
+test("scheduled events run the purge", async () => {
+  const res = await handler({ source: "aws.events" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(JSON.parse(res.body).status, "SUCCESS_PURGE_DELETED_ACCOUNTS");
+});
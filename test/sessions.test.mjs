@@ -0,0 +1,351 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { generateCode, currentStep } from "../totp.mjs";
+import {
+  resetStores,
+  call,
+  createUser,
+  resetToken,
+  PASSWORD,
+} from "./helpers.mjs";
+
+let stores;
+beforeEach(() => {
+  stores = resetStores();
+});
+
+// --- refresh / logout ---
+test("refresh rotates the refresh token", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const res = await call("/refresh", { refreshToken: user.refreshToken });
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.token);
+  assert.notEqual(res.body.refreshToken, user.refreshToken);
+
+  assert.equal((await call("/refresh", {})).statusCode, 400);
+  const bad = await call("/refresh", { refreshToken: "a.b.c" });
+  assert.equal(bad.statusCode, 401);
+  assert.equal(bad.body.status, "ERR_INVALID_REFRESH_TOKEN");
+});
+
+test("reusing a rotated refresh token revokes the session", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const rotated = await call("/refresh", { refreshToken: user.refreshToken });
+
+  const reused = await call("/refresh", { refreshToken: user.refreshToken });
+  assert.equal(reused.statusCode, 401);
+  assert.equal(reused.body.status, "ERR_REFRESH_TOKEN_REUSED");
+
+  const after = await call("/refresh", {
+    refreshToken: rotated.body.refreshToken,
+  });
+  assert.equal(after.statusCode, 401);
+});
+
+test("concurrent refreshes with one token let exactly one through", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const results = await Promise.all(
+    [1, 2, 3].map(() => call("/refresh", { refreshToken: user.refreshToken }))
+  );
+  const ok = results.filter((r) => r.statusCode === 200);
+  assert.equal(ok.length, 1);
+});
+
+test("logout ends only the current session", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const other = await call("/login", { username: "alice", password: PASSWORD });
+
+  const res = await call("/logout", {}, { token: user.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(
+    (await call("/get-account", {}, { token: user.token })).statusCode,
+    401
+  );
+  assert.equal(
+    (await call("/get-account", {}, { token: other.body.token })).statusCode,
+    200
+  );
+  assert.equal((await call("/logout", {})).statusCode, 401);
+});
+
+test("logout-all ends every session", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const other = await call("/login", { username: "alice", password: PASSWORD });
+
+  const res = await call("/logout-all", {}, { token: user.token });
+  assert.equal(res.statusCode, 200);
+  assert.equal(
+    (await call("/get-account", {}, { token: other.body.token })).statusCode,
+    401
+  );
+  assert.equal(stores.s3.keys(`users/${user.userId}/sessions/`).length, 0);
+});
+
+// --- passwords ---
+test("change-password keeps the caller and logs out the rest", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const other = await call("/login", { username: "alice", password: PASSWORD });
+
+  const wrong = await call(
+    "/change-password",
+    { currentPassword: "nope", newPassword: "newpass123" },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 401);
+  const missing = await call("/change-password", {}, { token: user.token });
+  assert.equal(missing.statusCode, 400);
+  const weak = await call(
+    "/change-password",
+    { currentPassword: PASSWORD, newPassword: "letmein" },
+    { token: user.token }
+  );
+  assert.equal(weak.statusCode, 400);
+  assert.equal(weak.body.status, "ERR_WEAK_PASSWORD");
+
+  const res = await call(
+    "/change-password",
+    { currentPassword: PASSWORD, newPassword: "newpass123" },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(
+    (await call("/get-account", {}, { token: user.token })).statusCode,
+    200
+  );
+  assert.equal(
+    (await call("/get-account", {}, { token: other.body.token })).statusCode,
+    401
+  );
+  const login = await call("/login", {
+    username: "alice",
+    password: "newpass123",
+  });
+  assert.equal(login.statusCode, 200);
+});
+
+test("forgot-password answers the same for unknown emails", async () => {
+  await createUser(stores.outbox, "alice");
+  const known = await call("/forgot-password", { email: "alice@example.com" });
+  const unknown = await call("/forgot-password", {
+    email: "nobody@example.com",
+  });
+  assert.equal(known.statusCode, 200);
+  assert.deepEqual(known.body, unknown.body);
+  assert.equal((await call("/forgot-password", {})).statusCode, 400);
+});
+
+test("forgot-password is rate limited and hides mailer errors", async () => {
+  await createUser(stores.outbox, "alice");
+  const forgot = () => call("/forgot-password", { email: "alice@example.com" });
+  const sent = () =>
+    stores.outbox.sent.filter((m) => m.subject === "Reset your password");
+
+  // RESEND_MAX_PER_DAY is 2 in the tests
+  const answers = [await forgot(), await forgot(), await forgot()];
+  assert.equal(sent().length, 2);
+  for (const res of answers) assert.deepEqual(res.body, answers[0].body);
+
+  await createUser(stores.outbox, "bob");
+  stores.outbox.send = async () => {
+    throw new Error("SES is down");
+  };
+  const failed = await call("/forgot-password", { email: "bob@example.com" });
+  assert.equal(failed.statusCode, 200);
+  assert.deepEqual(failed.body, answers[0].body);
+});
+
+test("reset-password works once and revokes sessions", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  await call("/forgot-password", { email: "alice@example.com" });
+  const token = resetToken(stores.outbox, "alice@example.com");
+
+  const res = await call("/reset-password", {
+    resetToken: token,
+    newPassword: "newpass123",
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(
+    (await call("/get-account", {}, { token: user.token })).statusCode,
+    401
+  );
+
+  const reused = await call("/reset-password", {
+    resetToken: token,
+    newPassword: "another123",
+  });
+  assert.equal(reused.statusCode, 400);
+  assert.equal(reused.body.status, "ERR_INVALID_RESET_TOKEN");
+  const login = await call("/login", {
+    username: "alice",
+    password: "newpass123",
+  });
+  assert.equal(login.statusCode, 200);
+});
+
+// --- two-factor ---
+async function enableTwoFactor(token) {
+  const setup = await call("/setup-2fa", { password: PASSWORD }, { token });
+  const { secret } = setup.body;
+  const enabled = await call(
+    "/enable-2fa",
+    { password: PASSWORD, code: generateCode(secret) },
+    { token }
+  );
+  return { secret, setup, enabled };
+}
+
+test("2FA setup, login challenge and recovery codes", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const { secret, setup, enabled } = await enableTwoFactor(user.token);
+  assert.equal(setup.statusCode, 200);
+  assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\//);
+  assert.equal(enabled.statusCode, 200);
+  assert.equal(enabled.body.recoveryCodes.length, 10);
+
+  const again = await call(
+    "/setup-2fa",
+    { password: PASSWORD },
+    { token: user.token }
+  );
+  assert.equal(again.statusCode, 409);
+
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.body.status, "SUCCESS_2FA_REQUIRED");
+  const { challengeToken } = login.body;
+
+  const wrong = await call("/login-2fa", { challengeToken, code: "000000" });
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.status, "ERR_INVALID_2FA_CODE");
+
+  // The enrollment step is spent, the next one is inside the drift window
+  const next = generateCode(secret, currentStep() + 1);
+  const ok = await call("/login-2fa", { challengeToken, code: next });
+  assert.equal(ok.statusCode, 200);
+  assert.ok(ok.body.token);
+  const replay = await call("/login-2fa", { challengeToken, code: next });
+  assert.equal(replay.statusCode, 401);
+
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const recovered = await call("/login-2fa", { challengeToken, recoveryCode });
+  assert.equal(recovered.statusCode, 200);
+  const spent = await call("/login-2fa", { challengeToken, recoveryCode });
+  assert.equal(spent.statusCode, 401);
+
+  const forged = await call("/login-2fa", {
+    challengeToken: user.token,
+    code: next,
+  });
+  assert.equal(forged.body.status, "ERR_INVALID_CHALLENGE");
+});
+
+test("enable-2fa needs setup and a valid code", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const notSetUp = await call(
+    "/enable-2fa",
+    { password: PASSWORD, code: "123456" },
+    { token: user.token }
+  );
+  assert.equal(notSetUp.statusCode, 409);
+  assert.equal(notSetUp.body.status, "ERR_2FA_NOT_SET_UP");
+
+  await call("/setup-2fa", { password: PASSWORD }, { token: user.token });
+  const wrong = await call(
+    "/enable-2fa",
+    { password: PASSWORD, code: "000000" },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 400);
+  assert.equal(wrong.body.status, "ERR_INVALID_2FA_CODE");
+  assert.equal(
+    (await call("/enable-2fa", {}, { token: user.token })).statusCode,
+    400
+  );
+});
+
+test("turning 2FA on needs the password, not just a token", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const bare = await call("/setup-2fa", {}, { token: user.token });
+  assert.equal(bare.statusCode, 400);
+  const wrong = await call(
+    "/setup-2fa",
+    { password: "nope" },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.status, "ERR_INVALID_CREDENTIALS");
+
+  const setup = await call(
+    "/setup-2fa",
+    { password: PASSWORD },
+    { token: user.token }
+  );
+  const code = generateCode(setup.body.secret);
+  const tokenOnly = await call("/enable-2fa", { code }, { token: user.token });
+  assert.equal(tokenOnly.statusCode, 400);
+  const guessed = await call(
+    "/enable-2fa",
+    { password: "nope", code },
+    { token: user.token }
+  );
+  assert.equal(guessed.statusCode, 401);
+
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.body.status, "SUCCESS_LOGIN");
+});
+
+test("disable-2fa needs the password and a code", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const notEnabled = await call(
+    "/disable-2fa",
+    { password: PASSWORD, code: "123456" },
+    { token: user.token }
+  );
+  assert.equal(notEnabled.statusCode, 409);
+
+  const { enabled } = await enableTwoFactor(user.token);
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const wrong = await call(
+    "/disable-2fa",
+    { password: "nope", recoveryCode },
+    { token: user.token }
+  );
+  assert.equal(wrong.statusCode, 401);
+
+  const res = await call(
+    "/disable-2fa",
+    { password: PASSWORD, recoveryCode },
+    { token: user.token }
+  );
+  assert.equal(res.statusCode, 200);
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  assert.equal(login.body.status, "SUCCESS_LOGIN");
+});
+
+test("wrong codes on signed-in routes hit the login lockout", async () => {
+  const user = await createUser(stores.outbox, "alice");
+  const { enabled } = await enableTwoFactor(user.token);
+  const guess = (route, fields) =>
+    call(
+      route,
+      { password: PASSWORD, code: "000000", ...fields },
+      {
+        token: user.token,
+      }
+    );
+
+  const first = await guess("/update-account", { birthday: "1999-01-01" });
+  assert.equal(first.statusCode, 401);
+  assert.equal(first.body.status, "ERR_INVALID_2FA_CODE");
+  assert.equal((await guess("/disable-2fa")).statusCode, 401);
+  const locked = await guess("/disable-2fa");
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.body.status, "ERR_ACCOUNT_LOCKED");
+
+  // Even the right code waits for the lockout to pass
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const blocked = await guess("/disable-2fa", {
+    code: undefined,
+    recoveryCode,
+  });
+  assert.equal(blocked.statusCode, 429);
+});
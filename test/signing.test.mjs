@@ -0,0 +1,198 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, createPublicKey } from "crypto";
+import jwt from "jsonwebtoken";
+import { createTokenSigner } from "../signing-keys.mjs";
+import { generateCode } from "../totp.mjs";
+import { resetStores, call, createUser, PASSWORD } from "./helpers.mjs";
+
+const pem = (key) => key.export({ format: "pem", type: "pkcs8" });
+const publicPem = (key) => key.export({ format: "pem", type: "spki" });
+const ecKey = () =>
+  generateKeyPairSync("ec", { namedCurve: "P-256" }).privateKey;
+const rsaKey = () =>
+  generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+
+const signer = (keys, env = {}) =>
+  createTokenSigner({ JWT_SIGNING_KEYS: JSON.stringify(keys), ...env });
+
+test("signs with the active key and names it in the header", () => {
+  const a = ecKey();
+  const b = rsaKey();
+  const keys = [
+    { kid: "a", privateKey: pem(a) },
+    { kid: "b", privateKey: pem(b) },
+  ];
+
+  const token = signer(keys).sign({ userId: "u1" }, { expiresIn: "5m" });
+  assert.deepEqual(jwt.decode(token, { complete: true }).header, {
+    alg: "ES256",
+    typ: "JWT",
+    kid: "a",
+  });
+  const rotated = signer(keys, { JWT_ACTIVE_KID: "b" }).sign({ userId: "u1" });
+  assert.equal(jwt.decode(rotated, { complete: true }).header.alg, "RS256");
+
+  // Either key verifies while both are listed
+  for (const t of [token, rotated])
+    assert.equal(signer(keys).verify(t).userId, "u1");
+});
+
+test("a rotation keeps old tokens valid until their key is removed", () => {
+  const old = ecKey();
+  const next = ecKey();
+  const before = signer([{ kid: "old", privateKey: pem(old) }]);
+  const token = before.sign({ userId: "u1" });
+
+  const published = signer([
+    { kid: "old", privateKey: pem(old) },
+    { kid: "next", privateKey: pem(next) },
+  ]);
+  assert.equal(
+    jwt.decode(published.sign({}), { complete: true }).header.kid,
+    "old"
+  );
+
+  const switched = signer(
+    [
+      { kid: "old", publicKey: publicPem(createPublicKey(old)) },
+      { kid: "next", privateKey: pem(next) },
+    ],
+    { JWT_ACTIVE_KID: "next" }
+  );
+  assert.equal(switched.verify(token).userId, "u1");
+
+  const retired = signer([{ kid: "next", privateKey: pem(next) }]);
+  assert.throws(() => retired.verify(token), { name: "JsonWebTokenError" });
+});
+
+test("rejects forged, unknown and legacy tokens without the secret", () => {
+  const key = ecKey();
+  const tokens = signer([{ kid: "a", privateKey: pem(key) }]);
+
+  // The public key used as an HMAC secret must not pass
+  const confused = jwt.sign({ userId: "u1" }, publicPem(createPublicKey(key)), {
+    algorithm: "HS256",
+    keyid: "a",
+  });
+  const unknown = jwt.sign({ userId: "u1" }, ecKey(), {
+    algorithm: "ES256",
+    keyid: "b",
+  });
+  const legacy = jwt.sign({ userId: "u1" }, "old-secret");
+  for (const token of [confused, unknown, legacy, "not-a-jwt"])
+    assert.throws(() => tokens.verify(token), { name: "JsonWebTokenError" });
+
+  const transition = signer([{ kid: "a", privateKey: pem(key) }], {
+    JWT_SECRET: "old-secret",
+  });
+  assert.equal(transition.verify(legacy).userId, "u1");
+  assert.equal(
+    jwt.decode(transition.sign({}), { complete: true }).header.kid,
+    "a"
+  );
+});
+
+test("falls back to the HS256 secret and rejects bad settings", () => {
+  const legacy = createTokenSigner({ JWT_SECRET: "old-secret" });
+  const token = legacy.sign({ userId: "u1" });
+  assert.equal(jwt.verify(token, "old-secret").userId, "u1");
+  assert.deepEqual(legacy.jwks(), { keys: [] });
+
+  const key = pem(ecKey());
+  assert.throws(() => createTokenSigner({}));
+  assert.throws(() => signer([{ kid: "bad kid", privateKey: key }]));
+  assert.throws(() =>
+    signer([
+      { kid: "a", privateKey: key },
+      { kid: "a", privateKey: key },
+    ])
+  );
+  assert.throws(() =>
+    signer([{ kid: "a", privateKey: key }], { JWT_ACTIVE_KID: "b" })
+  );
+  const p384 = generateKeyPairSync("ec", { namedCurve: "P-384" }).privateKey;
+  assert.throws(() => signer([{ kid: "a", privateKey: pem(p384) }]));
+});
+
+test("jwks.json publishes the keys that verify access tokens", async () => {
+  const { outbox } = resetStores();
+  const { token } = await createUser(outbox, "alice");
+
+  const res = await call("/.well-known/jwks.json", undefined, {
+    method: "GET",
+  });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["Cache-Control"], /max-age=\d+/);
+  assert.equal(res.body.keys.length, 1);
+  const [jwk] = res.body.keys;
+  assert.equal(jwk.kid, "test-key");
+  assert.equal(jwk.d, undefined);
+
+  // What a game server does with the published key
+  const publicKey = createPublicKey({ key: jwk, format: "jwk" });
+  const { header, payload } = jwt.verify(token, publicKey, {
+    algorithms: [jwk.alg],
+    complete: true,
+  });
+  assert.equal(header.typ, "at+jwt");
+  assert.equal(payload.username, "alice");
+});
+
+test("purpose tokens cannot pass for access tokens", async () => {
+  const { outbox } = resetStores();
+  const alice = await createUser(outbox, "alice");
+  const setup = await call(
+    "/setup-2fa",
+    { password: PASSWORD },
+    { token: alice.token }
+  );
+  await call(
+    "/enable-2fa",
+    { password: PASSWORD, code: generateCode(setup.body.secret) },
+    { token: alice.token }
+  );
+  const login = await call("/login", { username: "alice", password: PASSWORD });
+  const { challengeToken } = login.body;
+
+  const res = await call("/get-account", {}, { token: challengeToken });
+  assert.equal(res.statusCode, 401);
+
+  // A game server checking iss and aud against the published key
+  const jwks = await call("/.well-known/jwks.json", undefined, {
+    method: "GET",
+  });
+  const [jwk] = jwks.body.keys;
+  const publicKey = createPublicKey({ key: jwk, format: "jwk" });
+  const options = {
+    algorithms: [jwk.alg],
+    issuer: "tsunami-accounts",
+    audience: "tsunami",
+    complete: true,
+  };
+  const { payload } = jwt.verify(alice.token, publicKey, options);
+  assert.equal(payload.userId, alice.userId);
+  assert.throws(() => jwt.verify(challengeToken, publicKey, options), {
+    name: "JsonWebTokenError",
+  });
+  assert.equal(
+    jwt.decode(challengeToken, { complete: true }).header.typ,
+    "login-2fa+jwt"
+  );
+});
+
+test("access tokens signed with the old secret still work", async () => {
+  const { outbox } = resetStores();
+  const alice = await createUser(outbox, "alice");
+  const { iat, exp, ...claims } = jwt.decode(alice.token);
+
+  const legacy = jwt.sign(claims, "test-secret", { expiresIn: "5m" });
+  const res = await call("/get-account", {}, { token: legacy });
+  assert.equal(res.statusCode, 200);
+
+  const forged = jwt.sign(claims, "wrong-secret");
+  assert.equal(
+    (await call("/get-account", {}, { token: forged })).statusCode,
+    401
+  );
+});
@@ -0,0 +1,87 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps),
+// the defaults every authenticator app understands.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+export function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the matching time step (to reject replays) or null. `window`
+// allows that many steps of clock drift either side.
+export function verifyCode(secret, code, { window = 1, now } = {}) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCode(secret, step + offset);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + offset;
+    }
+  }
+  return null;
+}
+
+export function otpauthUri({ issuer, accountName, secret }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}